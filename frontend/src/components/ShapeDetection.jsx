@@ -1,18 +1,118 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Upload, Image as ImageIcon, Loader2, CheckCircle, XCircle, Play } from 'lucide-react';
 import { Button } from './ui/button';
 import { Card } from './ui/card';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import ShapeDetector from '../utils/ShapeDetector';
+import { readJpegMeta, orientationTransform } from '../utils/exif';
+
+// Display name of a detected shape: polygons without a name of their own read as n-gons
+const shapeName = (shape) => (shape.type === 'polygon' && shape.sides ? `${shape.sides}-gon` : shape.type);
+
+// Fitted parameters of composite shapes (semicircles, sectors, crescents, stadiums...)
+const describeParameters = (shape) => {
+  const type = shape.partialOf || shape.type, p = shape.parameters;
+  const px = (v) => `${v.toFixed(1)}px`;
+  const deg = (v) => `${Math.round(v)}°`;
+  if (type === 'crescent') return `outer r ${px(p.outer.radius)}, inner r ${px(p.inner.radius)}, facing ${deg(p.direction)}`;
+  if (type === 'stadium') return `${px(p.length)} long, r ${px(p.radius)} at ${deg(p.angle)}`;
+  if (type === 'rounded-rectangle') return `${p.width.toFixed(1)}×${px(p.height)}, corner r ${px(p.cornerRadius)} at ${deg(p.angle)}`;
+  return `r ${px(p.radius)}${p.angle !== undefined ? `, ${deg(p.angle)} wide` : ''}, facing ${deg(p.direction)}`;
+};
+
+// Overlay and badge color of each shape type
+const colors = {
+  circle: '#10b981',
+  ellipse: '#06b6d4',
+  triangle: '#3b82f6',
+  rectangle: '#f59e0b',
+  square: '#ef4444',
+  rhombus: '#dc2626',
+  parallelogram: '#d97706',
+  trapezoid: '#ca8a04',
+  kite: '#e11d48',
+  quadrilateral: '#78716c',
+  polygon: '#8b5cf6',
+  pentagon: '#6366f1',
+  hexagon: '#7c3aed',
+  heptagon: '#a855f7',
+  octagon: '#c026d3',
+  star: '#eab308',
+  arrow: '#0ea5e9',
+  cross: '#f43f5e',
+  'l-shape': '#84cc16',
+  't-shape': '#d946ef',
+  chevron: '#f97316',
+  semicircle: '#22c55e',
+  'quarter-circle': '#16a34a',
+  sector: '#15803d',
+  crescent: '#fbbf24',
+  stadium: '#2563eb',
+  'rounded-rectangle': '#fb923c',
+  annulus: '#14b8a6',
+  frame: '#ec4899',
+  partial: '#94a3b8',
+};
+
+// Detector options exposed in the UI: option -> label and choices (value, display name)
+const settingChoices = {
+  thresholdMode: {
+    label: 'Threshold',
+    choices: [
+      ['otsu', 'Automatic (Otsu)'],
+      ['adaptive', 'Adaptive (local)'],
+      ['background', 'Background color'],
+      ['palette', 'Color palette'],
+      ['edges', 'Edges (outlines)'],
+    ],
+  },
+  adaptiveMethod: { label: 'Adaptive method', choices: [['sauvola', 'Sauvola'], ['bradley', 'Bradley']] },
+  illumination: {
+    label: 'Illumination correction',
+    choices: [['none', 'None'], ['blur', 'Blur estimate'], ['polynomial', 'Polynomial surface']],
+  },
+  prefilter: {
+    label: 'Denoising',
+    choices: [['none', 'None'], ['median', 'Median'], ['gaussian', 'Gaussian'], ['bilateral', 'Bilateral']],
+  },
+};
+
+// Renders an ImageData-like { width, height, data } intermediate (e.g. the illumination field)
+const IntermediateImage = ({ image, label }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas || !image) return;
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+  }, [image]);
+
+  return (
+    <div>
+      <div className="text-xs text-slate-500 mb-1">{label}</div>
+      <canvas ref={ref} className="w-full h-auto rounded border border-slate-200" />
+    </div>
+  );
+};
 
 const ShapeDetection = () => {
   const [image, setImage] = useState(null);
+  const [imageMeta, setImageMeta] = useState(null);
   const [processing, setProcessing] = useState(false);
   const [results, setResults] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const canvasRef = useRef(null);
   const overlayCanvasRef = useRef(null);
   const fileInputRef = useRef(null);
-  const detector = useRef(new ShapeDetector());
+  const [settings, setSettings] = useState({
+    thresholdMode: 'otsu',
+    adaptiveMethod: 'sauvola',
+    illumination: 'none',
+    prefilter: 'none',
+  });
 
   const handleDrag = useCallback((e) => {
     e.preventDefault();
@@ -47,12 +147,49 @@ const ShapeDetection = () => {
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setImage(e.target.result);
-      setResults(null);
+    // read the raw bytes first for the JPEG orientation tag, then the data URL for display
+    const bytesReader = new FileReader();
+    bytesReader.onload = (e) => {
+      const meta = readJpegMeta(e.target.result);
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        setImage(ev.target.result);
+        setImageMeta(meta);
+        setResults(null);
+      };
+      reader.readAsDataURL(file);
     };
-    reader.readAsDataURL(file);
+    bytesReader.readAsArrayBuffer(file);
+  };
+
+  // Draw the image upright. Browsers with CSS image-orientation support already apply
+  // EXIF when decoding; for the axis-swapping orientations the decoded size settles it.
+  // Returns what was done, for the results.
+  const drawOriented = (ctx, canvas, img) => {
+    const exif = imageMeta?.orientation || 1;
+    const swaps = exif >= 5 && imageMeta.width !== imageMeta.height;
+    const browserOriented = swaps
+      ? img.width === imageMeta.height
+      : typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+
+    if (exif === 1 || browserOriented) {
+      canvas.width = img.width;
+      canvas.height = img.height;
+      ctx.drawImage(img, 0, 0);
+      return {
+        exif,
+        transform: orientationTransform(exif, img.width, img.height).name,
+        appliedBy: exif === 1 ? 'none' : 'browser',
+      };
+    }
+
+    const t = orientationTransform(exif, img.width, img.height);
+    canvas.width = t.width;
+    canvas.height = t.height;
+    ctx.setTransform(...t.matrix);
+    ctx.drawImage(img, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return { exif, transform: t.name, appliedBy: 'detector' };
   };
 
   const detectShapes = async () => {
@@ -68,20 +205,18 @@ const ShapeDetection = () => {
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
         
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
+        const orientation = drawOriented(ctx, canvas, img);
         
         // Get image data
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
         
         // Detect shapes
-        const detectionResults = await detector.current.detectShapes(imageData);
+        const detectionResults = await new ShapeDetector(settings).detectShapes(imageData);
         
         // Draw overlays
         drawShapeOverlays(detectionResults.shapes);
         
-        setResults(detectionResults);
+        setResults({ ...detectionResults, orientation });
         setProcessing(false);
       };
       img.src = image;
@@ -103,16 +238,8 @@ const ShapeDetection = () => {
     const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    const colors = {
-      circle: '#10b981',
-      triangle: '#3b82f6',
-      rectangle: '#f59e0b',
-      square: '#ef4444',
-      polygon: '#8b5cf6'
-    };
-    
     shapes.forEach((shape, index) => {
-      const color = colors[shape.type] || '#6b7280';
+      const color = colors[shape.type] ?? colors.polygon;
       
       // Draw bounding box
       ctx.strokeStyle = color;
@@ -124,6 +251,43 @@ const ShapeDetection = () => {
         shape.boundingBox.height
       );
       
+      // Draw the fitted ellipse
+      if (shape.ellipse) {
+        const { center, semiMajor, semiMinor, angle } = shape.ellipse;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(center.x, center.y, semiMajor, semiMinor, (angle * Math.PI) / 180, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+      
+      // Draw the fitted lines and arcs of composite shapes
+      (shape.primitives || []).forEach((p) => {
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (p.kind === 'line') {
+          ctx.moveTo(p.start.x, p.start.y);
+          ctx.lineTo(p.end.x, p.end.y);
+        } else {
+          const at = (q) => Math.atan2(q.y - p.center.y, q.x - p.center.x);
+          const turn = (a) => (a - at(p.start) + 4 * Math.PI) % (2 * Math.PI);
+          // anticlockwise when going clockwise from start would reach the end before the middle
+          ctx.arc(p.center.x, p.center.y, p.radius, at(p.start), at(p.end), turn(at(p.middle)) > turn(at(p.end)));
+        }
+        ctx.stroke();
+      });
+      
+      // Draw holes (dashed outlines)
+      (shape.holes || []).forEach((hole) => {
+        if (hole.vertices.length < 2) return;
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        hole.vertices.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+      
       // Draw center point
       ctx.fillStyle = color;
       ctx.beginPath();
@@ -134,7 +298,7 @@ const ShapeDetection = () => {
       ctx.font = 'bold 16px Inter, sans-serif';
       ctx.fillStyle = color;
       ctx.fillText(
-        `${shape.type.charAt(0).toUpperCase() + shape.type.slice(1)} (${Math.round(shape.confidence * 100)}%)`,
+        `${shapeName(shape).charAt(0).toUpperCase() + shapeName(shape).slice(1)} (${Math.round(shape.confidence * 100)}%)`,
         shape.boundingBox.x,
         shape.boundingBox.y - 10
       );
@@ -218,6 +382,7 @@ const ShapeDetection = () => {
                     <Button
                       onClick={() => {
                         setImage(null);
+                        setImageMeta(null);
                         setResults(null);
                       }}
                       variant="outline"
@@ -240,6 +405,31 @@ const ShapeDetection = () => {
                     />
                   </div>
 
+                  {/* Detection Settings (the adaptive method only applies to adaptive thresholding) */}
+                  <div className="grid grid-cols-2 gap-4">
+                    {Object.entries(settingChoices)
+                      .filter(([key]) => key !== 'adaptiveMethod' || settings.thresholdMode === 'adaptive')
+                      .map(([key, { label, choices }]) => (
+                        <div key={key} className="space-y-1">
+                          <Label htmlFor={`setting-${key}`} className="text-xs text-slate-500">{label}</Label>
+                          <Select
+                            value={settings[key]}
+                            onValueChange={(value) => setSettings((s) => ({ ...s, [key]: value }))}
+                            disabled={processing}
+                          >
+                            <SelectTrigger id={`setting-${key}`}>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {choices.map(([value, name]) => (
+                                <SelectItem key={value} value={value}>{name}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      ))}
+                  </div>
+
                   <Button
                     onClick={detectShapes}
                     disabled={processing}
@@ -283,6 +473,19 @@ const ShapeDetection = () => {
                   </Card>
                 </div>
 
+                {/* Intermediate images */}
+                {results.illumination?.field && (
+                  <Card className="p-6">
+                    <h3 className="text-lg font-semibold text-slate-900 mb-4">
+                      Illumination Correction
+                    </h3>
+                    <div className="grid grid-cols-2 gap-4">
+                      <IntermediateImage image={results.illumination.field} label="Estimated field" />
+                      <IntermediateImage image={results.illumination.image} label="Flattened image" />
+                    </div>
+                  </Card>
+                )}
+
                 {/* Detection Results */}
                 <Card className="p-6">
                   <h3 className="text-lg font-semibold text-slate-900 mb-4">
@@ -304,22 +507,16 @@ const ShapeDetection = () => {
                             <div className="flex items-center space-x-2">
                               <div
                                 className="w-3 h-3 rounded-full"
-                                style={{
-                                  backgroundColor:
-                                    shape.type === 'circle'
-                                      ? '#10b981'
-                                      : shape.type === 'triangle'
-                                      ? '#3b82f6'
-                                      : shape.type === 'rectangle'
-                                      ? '#f59e0b'
-                                      : shape.type === 'square'
-                                      ? '#ef4444'
-                                      : '#8b5cf6',
-                                }}
+                                style={{ backgroundColor: colors[shape.type] ?? colors.polygon }}
                               />
                               <span className="font-semibold text-slate-900 capitalize">
-                                {shape.type}
+                                {shapeName(shape)}
+                                {shape.triangle && ` (${shape.triangle.bySides}, ${shape.triangle.byAngles})`}
+                                {shape.points && ` (${shape.points} points)`}
+                                {shape.direction && ` (${shape.direction})`}
+                                {shape.partialOf && ` (${shape.partialOf})`}
                               </span>
+                              <span className="text-xs text-slate-400">#{shape.id}</span>
                             </div>
                             <div className="flex items-center space-x-1">
                               <CheckCircle className="w-4 h-4 text-green-500" />
@@ -348,6 +545,78 @@ const ShapeDetection = () => {
                                 {shape.boundingBox.width}×{shape.boundingBox.height} at ({shape.boundingBox.x}, {shape.boundingBox.y})
                               </span>
                             </div>
+                            {shape.triangle && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Angles:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.triangle.angles.map(a => `${a.toFixed(1)}°`).join(', ')}
+                                </span>
+                              </div>
+                            )}
+                            {shape.triangle && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Sides:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.triangle.sides.map(l => `${l.toFixed(1)}px`).join(', ')}
+                                </span>
+                              </div>
+                            )}
+                            {shape.orientedBox && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Rotated Box:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.orientedBox.width.toFixed(1)}×{shape.orientedBox.height.toFixed(1)} at {Math.round(shape.orientedBox.angle)}°
+                                </span>
+                              </div>
+                            )}
+                            {shape.ellipse && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Axes:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.ellipse.semiMajor.toFixed(1)}×{shape.ellipse.semiMinor.toFixed(1)}px at {Math.round(shape.ellipse.angle)}° (±{shape.ellipse.residual.toFixed(2)}px)
+                                </span>
+                              </div>
+                            )}
+                            {shape.parameters && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Fit:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {describeParameters(shape)}
+                                </span>
+                              </div>
+                            )}
+                            {shape.regularity !== undefined && (
+                              <div>
+                                <span className="text-slate-500">Regularity:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {Math.round(shape.regularity * 100)}%
+                                </span>
+                              </div>
+                            )}
+                            {shape.holes?.length > 0 && (
+                              <div>
+                                <span className="text-slate-500">Holes:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.holes.length}
+                                </span>
+                              </div>
+                            )}
+                            {shape.touchesBorder && (
+                              <div className="col-span-2">
+                                <span className="text-slate-500">Cut off at:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  {shape.borderEdges.join(', ')} edge
+                                </span>
+                              </div>
+                            )}
+                            {shape.parentId && (
+                              <div>
+                                <span className="text-slate-500">Inside:</span>
+                                <span className="ml-2 text-slate-700 font-medium">
+                                  #{shape.parentId}
+                                </span>
+                              </div>
+                            )}
                           </div>
                         </div>
                       ))}
@@ -404,7 +673,7 @@ const ShapeDetection = () => {
                     Detectable Shapes:
                   </div>
                   <div className="flex flex-wrap gap-2">
-                    {['Circle', 'Triangle', 'Rectangle', 'Square', 'Polygon'].map((shape) => (
+                    {['Circle', 'Ellipse', 'Triangle', 'Rectangle', 'Square', 'Rhombus', 'Parallelogram', 'Trapezoid', 'Kite', 'Pentagon', 'Hexagon', 'Heptagon', 'Octagon', 'Polygon', 'Star', 'Arrow', 'Cross', 'L-shape', 'T-shape', 'Chevron', 'Semicircle', 'Quarter-circle', 'Sector', 'Crescent', 'Stadium', 'Rounded-rectangle', 'Annulus', 'Frame'].map((shape) => (
                       <span
                         key={shape}
                         className="px-3 py-1 bg-white border border-slate-200 rounded-full text-xs font-medium text-slate-700"
@@ -1,200 +1,595 @@
 // frontend/src/utils/ShapeDetector.js
 // Full ShapeDetector class: grayscale -> binary -> connected components -> contour tracing
+// -> contour tree (holes, shapes nested inside holes)
 // -> Douglas-Peucker approx -> convex hull & colinear cleanup -> robust classification
+// (concave outlines: convexity-defect patterns on the simplified polygon)
 // Exports: default class ShapeDetector with async detectShapes(imageData) method.
+// Options passed to the constructor override the defaults below.
+
+import {
+  toLuminance,
+  computeHistogram,
+  otsuThreshold,
+  applyGlobalThreshold,
+  adaptiveThreshold,
+  autoAdaptiveWindow,
+  fillFromGlobal,
+  detectPolarity,
+  invertGray,
+} from './thresholding';
+import { backgroundDistanceMask, paletteSegmentation } from './colorSegmentation';
+import { applyMorphology, applyMorphologyPerLabel } from './morphology';
+import { applyPrefilter } from './filters';
+import { canny, edgeRegionMask } from './edges';
+import { hasTransparency, compositeOnMatte, alphaMask } from './alpha';
+import { estimateIlluminationBlur, estimateIlluminationPolynomial, correctIllumination } from './illumination';
+import { downscaleImage, cropImage, mapShape, paintLabels } from './pyramid';
+import { labelComponents } from './labeling';
+import { traceOuterContour, findHoles, isoContours } from './contours';
+import { splitComponents } from './watershed';
+import { mergeFragments } from './fragments';
+import { fitEllipse } from './ellipse';
+import { classifyConcave } from './concave';
+import { minAreaRect, classifyQuadrilateral } from './quadrilateral';
+import { refineCorners, classifyTriangle } from './triangle';
+import { segmentContour, classifyComposite } from './primitives';
 
 class ShapeDetector {
-  constructor() {
-    this.threshold = 128;
+  constructor(options = {}) {
+    // transparent images: 'composite' onto matteColor | 'mask' (alpha >= alphaCutoff is foreground)
+    // | 'ignore' (raw RGB, transparent black reads as black)
+    this.alphaMode = 'composite';
+    this.matteColor = [255, 255, 255];
+    this.alphaCutoff = 128;
+    this.prefilter = 'none';     // 'none' | 'median' | 'gaussian' | 'bilateral'
+    this.prefilterRadius = 2;
+    this.bilateralSigmaColor = 25; // bilateral range sigma, in RGB units
+    this.illumination = 'none';  // shading correction: 'none' | 'blur' | 'polynomial'
+    this.illuminationRadius = 0; // 'blur' window radius in px; 0 = auto (1/8 of the longer side)
+    this.illuminationDegree = 2; // 'polynomial' surface degree
+    // 'otsu' (automatic, from the luminance histogram) | 'fixed' | 'adaptive'
+    // | 'background' (Lab color distance from the border color)
+    // | 'edges' (Canny outlines, closed and filled; for shapes drawn as strokes)
+    // | 'palette' (color quantization; touching shapes of different colors stay separate)
+    this.thresholdMode = 'otsu';
+    this.threshold = 128;        // used when thresholdMode === 'fixed'
+    this.polarity = 'auto';      // luminance modes: 'auto' (from border) | 'dark' shapes | 'light' shapes
+    this.adaptiveMethod = 'sauvola'; // 'sauvola' | 'bradley'
+    this.adaptiveWindow = 0;     // local window side in px; 0 = auto (from the shapes, see autoAdaptiveWindow)
+    this.adaptiveBias = 0.2;     // sauvola k / bradley t
+    this.backgroundTolerance = 0; // deltaE cutoff for 'background' mode; 0 = auto (from border noise)
+    this.paletteColors = 8;      // 'palette' mode: clusters before merging near-identical ones
+    this.paletteCenters = null;  // 'palette' mode: fixed [{r, g, b}] centers, background first; null = clustered
+    this.cannyLow = 0;           // 'edges' mode hysteresis thresholds on gradient magnitude;
+    this.cannyHigh = 0;          // 0 = auto (Otsu on suppressed magnitudes, low = high / 2)
+    this.edgeCloseKernel = 3;    // closing applied to the edge map before filling outlines
     this.minArea = 28;
+    // outline used for classification: 'pixels' (traced boundary pixels) | 'subpixel'
+    // (marching squares on the grayscale image at the threshold level)
+    this.contourSource = 'pixels';
+    // shapes cut off by the image edge: 'keep' (flag only) | 'discount' (lower confidence)
+    // | 'partial' (reported as type 'partial') | 'drop' (left out, e.g. for counting)
+    this.borderShapes = 'discount';
+    this.connectivity = 4;       // 4 | 8 (8 keeps thin diagonal strokes in one piece)
+    this.split = false;          // split touching / overlapping blobs (distance-transform watershed)
+    this.splitDepth = 0.15;      // a distance peak must stand this fraction of its height above the saddle
+    this.pyramid = true;         // detect large images on a downscaled copy, refine in full-res ROIs
+    this.maxPixels = 2000000;    // images above this pixel count take the pyramid path
+    this.pyramidCoverage = 0.5;  // ...unless the coarse shapes' ROIs cover more of the image than this
+    this.morphOp = 'close';       // 'none' | 'open' | 'close' | 'open-close' | 'close-open'
     this.morphKernel = 3;   // closing kernel (3 = mild, 5 = stronger). 3 works well to avoid merging separate shapes.
-    this.mergeGap = 4;  // ignore tiny blobs
+    this.morphShape = 'square';   // 'square' | 'cross' | 'disk'
+    this.mergeGap = 3;           // merge fragments (dashed outlines, broken strokes, cracks) up to this many px apart; 0 = off
+    Object.assign(this, options);
   }
 
   async detectShapes(imageData) {
     const t0 = performance.now();
-    const { width, height, data } = imageData;
-
-    // 1) convert to grayscale + binary mask (0/1)
-    const mask = new Uint8Array(width * height);
-    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
-      const r = data[i], g = data[i + 1], b = data[i + 2];
-      const l = (0.299 * r + 0.587 * g + 0.114 * b) | 0;
-      mask[p] = l < this.threshold ? 1 : 0; // foreground=1 for dark shapes
+    const { width, height } = imageData;
+    if (this.pyramid && width * height > this.maxPixels) {
+      return this._detectPyramid(imageData, t0);
     }
 
-    // 2) connected components (4-neighbor flood fill)
-    const seen = new Uint8Array(width * height);
+    // 0) transparency, then optional denoising prefilter (JPEG blocking, sensor noise)
+    // so the mask edges stay clean
+    const transparent = hasTransparency(imageData.data);
+    const alpha = { mode: this.alphaMode, transparent, matte: this.matteColor };
+    const rgba = transparent && this.alphaMode === 'composite'
+      ? compositeOnMatte(imageData.data, this.matteColor)
+      : imageData.data;
+    const tf = performance.now();
+    const filtered = applyPrefilter(rgba, width, height, this.prefilter, this.prefilterRadius, this.bilateralSigmaColor);
+    const prefilter = { type: this.prefilter, radius: this.prefilterRadius, time: performance.now() - tf };
+
+    // 0b) optional illumination flattening; field and corrected image are kept for display
+    const { data, illumination } = this._flattenIllumination(filtered, width, height);
+
+    // 1) label mask: 0 = background, foreground = 1 (or the color cluster in 'palette' mode)
+    const segmented = this._segment(data, width, height, transparent);
+    const { threshold, palette } = segmented;
+
+    // 1b) morphology: closing bridges hairline gaps in anti-aliased outlines,
+    // opening removes speckle before it turns into tiny components
+    const mask = palette
+      ? applyMorphologyPerLabel(segmented.mask, width, height, this.morphOp, this.morphKernel, this.morphShape)
+      : applyMorphology(segmented.mask, width, height, this.morphOp, this.morphKernel, this.morphShape);
+
+    // 2) connected components over pixels sharing a label (4- or 8-connectivity);
+    // comp holds the component id of every pixel (0 = background)
+    const labeled = labelComponents(mask, width, height, this.connectivity);
+    const comp = labeled.labels;
+
+    // 2a) fragments within mergeGap pixels (dashes, broken strokes) merged into one component,
+    // then optional splitting of touching / overlapping blobs (distance-transform watershed)
+    const merged = mergeFragments(comp, labeled.components, width, height, { gap: this.mergeGap, minArea: this.minArea });
+    const components = this.split
+      ? splitComponents(comp, merged, width, height, { depth: this.splitDepth, minArea: this.minArea })
+      : merged;
+
     const shapes = [];
-    const stack = [];
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        if (mask[idx] === 1 && !seen[idx]) {
-          // flood fill
-          let area = 0;
-          let minX = x, minY = y, maxX = x, maxY = y;
-          stack.push(idx);
-          seen[idx] = 1;
-          const pixels = [];
-          while (stack.length) {
-            const cur = stack.pop();
-            const cx = cur % width;
-            const cy = (cur / width) | 0;
-            pixels.push({ x: cx, y: cy });
-            area++;
-            if (cx < minX) minX = cx;
-            if (cy < minY) minY = cy;
-            if (cx > maxX) maxX = cx;
-            if (cy > maxY) maxY = cy;
-
-            // neighbors 4-connectivity
-            const n1 = cur - 1, n2 = cur + 1, n3 = cur - width, n4 = cur + width;
-            if (cx > 0) {
-              if (!seen[n1] && mask[n1] === 1) { seen[n1] = 1; stack.push(n1); }
-            }
-            if (cx < width - 1) {
-              if (!seen[n2] && mask[n2] === 1) { seen[n2] = 1; stack.push(n2); }
-            }
-            if (cy > 0) {
-              if (!seen[n3] && mask[n3] === 1) { seen[n3] = 1; stack.push(n3); }
-            }
-            if (cy < height - 1) {
-              if (!seen[n4] && mask[n4] === 1) { seen[n4] = 1; stack.push(n4); }
-            }
-          } // end flood
-
-          if (area >= this.minArea) {
-            // trace contour (boundary pixels)
-            const contour = this._traceBoundary(mask, width, height, minX, minY, maxX, maxY);
-            shapes.push({
-              pixels,
-              contour,
-              area,
-              boundingBox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
-            });
-          }
+    for (const c of components) {
+      if (c.area < this.minArea) continue;
+      shapes.push({
+        ...c,
+        // ordered outer contour, traced from the component's first pixel in raster order
+        contour: traceOuterContour(comp, c.id, width, height, c.startX, c.startY),
+      });
+    }
+
+    // 2b) contour tree: holes of every component; a component's parent is the owner
+    // of the smallest hole that contains it
+    const parentOf = new Map();
+    for (const s of shapes) {
+      s.holes = findHoles(comp, s.id, width, height, s.boundingBox, this.minArea, this.connectivity);
+      for (const h of s.holes) {
+        for (const inner of h.inner) {
+          const cur = parentOf.get(inner);
+          if (!cur || h.area < cur.area) parentOf.set(inner, { owner: s.id, area: h.area });
         }
       }
     }
 
     // 3) analyze each shape: approx -> hull -> classify -> compute center & confidence
     const outShapes = [];
+    const idOf = new Map(); // component id -> result id (1-based position in outShapes)
+    const subpixel = this.contourSource === 'subpixel';
+    const gray = subpixel ? toLuminance(data, width, height) : null;
     for (const s of shapes) {
       if (!s.contour || s.contour.length < 6) {
         // tiny or degenerate, skip
         continue;
       }
+      const border = borderContact(s.contour, width, height);
+      if (this.borderShapes === 'drop' && border.edges.length) continue;
 
-      const perimeter = polygonPerimeter(s.contour);
-      const eps = Math.max(4, 0.02 * perimeter);
+      // classified outline: boundary pixel centers, or the sub-pixel iso-line (whose
+      // smooth edges allow a finer simplification tolerance)
+      const contour = subpixel
+        ? subpixelContour(comp, s, gray, threshold, width, height, this.connectivity)
+        : s.contour;
+      const perimeter = polygonPerimeter(contour);
+      const contourArea = Math.abs(polygonArea(contour));
+      // simplification tolerance, kept well under the thickness (2 * area / perimeter) so
+      // thin bars keep their corners
+      const eps = Math.min(Math.max(subpixel ? 2 : 4, 0.02 * perimeter), Math.max(1, (0.6 * contourArea) / perimeter));
 
-      const approx = douglasPeucker(s.contour, eps);
+      const approx = douglasPeucker(contour, eps);
       const approxClean = removeColinear(approx, 6);
       const hull = convexHull(approxClean);
-      const hullClean = removeColinear(hull, 6);
+      const hullClean = removeColinear(sharpenCorners(hull, 2), 12);
 
+      // the outline is classified as if filled: holes count towards its area
+      // (the sub-pixel polygon area already encloses them)
+      const holes = s.holes.map(describeHole);
       const area = s.area;
-      const circularity = perimeter > 0 ? (4 * Math.PI * area) / (perimeter * perimeter) : 0;
+      const filledArea = subpixel ? contourArea : holes.reduce((acc, h) => acc + h.area, area);
+      const circularity = perimeter > 0 ? (4 * Math.PI * filledArea) / (perimeter * perimeter) : 0;
+
+      // smooth outlines: direct least-squares ellipse fit on the contour. Boundary pixel
+      // centers sit half a pixel inside the edge, so pixel-contour axes grow by 0.5.
+      // Regular polygons with many sides fit one closely too, but their outline hugs
+      // straight sides between evenly spaced corners more closely still.
+      const fit = fitEllipse(contour);
+      const polygonCorners = fit && ellipseFits(fit, contourArea, 2.5) ? findCorners(contour, fit) : null;
+      const tight = fit && !polygonCorners && ellipseFits(fit, contourArea);
+
+      // outlines mixing straight and curved runs (pie slices, semicircles, stadiums...) are
+      // read from their line and arc primitives
+      const tol = subpixel ? 0.75 : 1.25;
+      const primitives = tight || polygonCorners ? [] : segmentContour(contour, { tol });
+      const composite = classifyComposite(primitives, perimeter, { pad: subpixel ? 0 : 0.5 });
+      const curved = primitives.reduce((t, p) => t + (p.kind === 'arc' ? p.length : 0), 0) / (perimeter || 1);
+
+      // hand-drawn or noisy round blobs fit more loosely; they still count as round when
+      // most of the outline is curved (polygons with many sides segment into lines). Below
+      // ~25 tolerances across, the corners of an octagon hide within the tolerance too.
+      const loose = fit && !tight && !polygonCorners && !composite && circularity > 0.7 && curved >= 0.4
+        && fit.semiMinor >= 25 * tol && ellipseFits(fit, contourArea, 2.5);
+      const ellipse = tight || loose ? {
+        center: fit.center,
+        semiMajor: fit.semiMajor + (subpixel ? 0 : 0.5),
+        semiMinor: fit.semiMinor + (subpixel ? 0 : 0.5),
+        angle: fit.angle,
+        residual: fit.residual,
+      } : null;
+
+      // concave outlines (stars, arrows, crosses...) are read from the polygon itself,
+      // before the hull hides their notches
+      const solidity = Math.abs(polygonArea(approxClean)) / (Math.abs(polygonArea(hullClean)) || 1);
+      const concave = !ellipse && !composite && solidity < 0.95 ? classifyConcave(approxClean) : null;
+
+      // minimum-area rotated rectangle around the whole outline (boundary pixel centers
+      // sit half a pixel inside the edge)
+      const orientedBox = minAreaRect(convexHull(contour), subpixel ? 0 : 0.5);
 
       let type = 'polygon';
-      if (hullClean.length === 3) {
+      let triangle = null; // refined corners and subtypes
+      let quad = null; // refined corners
+      if (composite) {
+        type = composite.type;
+      } else if (concave) {
+        type = concave.type;
+      } else if (ellipse) {
+        type = ellipse.semiMinor / ellipse.semiMajor >= 0.9 ? 'circle' : 'ellipse';
+      } else if (polygonCorners) {
+        type = POLYGON_NAMES[polygonCorners.length] || 'polygon';
+      } else if (hullClean.length === 3) {
         type = 'triangle';
+        const corners = refineCorners(contour, hullClean, subpixel ? 0 : 0.5);
+        triangle = { corners, ...classifyTriangle(corners) };
       } else if (hullClean.length === 4) {
-        // aspect ratio test
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        hullClean.forEach(p => {
-          if (p.x < minX) minX = p.x;
-          if (p.y < minY) minY = p.y;
-          if (p.x > maxX) maxX = p.x;
-          if (p.y > maxY) maxY = p.y;
-        });
-        const w = maxX - minX || 1;
-        const h = maxY - minY || 1;
-        const ar = w / h;
-        type = Math.abs(ar - 1) < 0.12 ? 'square' : 'rectangle';
-      } else if (circularity > 0.7) {
-        type = 'circle';
-      } else {
-        type = 'polygon';
+        quad = refineCorners(contour, hullClean, subpixel ? 0 : 0.5);
+        type = classifyQuadrilateral(quad);
+      } else if (hullClean.length >= 5) {
+        type = POLYGON_NAMES[hullClean.length] || 'polygon';
       }
 
-      const center = centroidFromPixels(s.pixels);
+      const center = { x: Math.round(s.sumX / s.area), y: Math.round(s.sumY / s.area) };
       const bbox = s.boundingBox;
-      const confidence = computeConfidence(type, hullClean.length, circularity, area, perimeter);
 
-      outShapes.push({
+      // rings: one substantial hole, centered, repeating the outer outline
+      const hole = holes.length === 1 && holes[0].area >= 0.05 * filledArea ? holes[0] : null;
+      if (hole) {
+        const offset = Math.hypot(hole.center.x - center.x, hole.center.y - center.y);
+        if ((type === 'circle' || type === 'ellipse') && hole.circularity > 0.7
+          && offset < 0.15 * Math.sqrt(filledArea / Math.PI)) {
+          type = 'annulus';
+        } else if ((type === 'square' || type === 'rectangle')
+          && removeColinear(convexHull(hole.vertices), 6).length === 4) {
+          type = 'frame';
+        }
+      }
+
+      // loose ellipse fits and curved outlines named as polygons are less certain
+      const polygonal = type === 'polygon' || Object.values(POLYGON_NAMES).includes(type);
+      const fitScore = loose ? Math.min(1, ellipseTolerance(fit) / fit.residual) : polygonal ? 1 - curved : 1;
+      const outline = polygonCorners || hullClean;
+      const confidence = computeConfidence(type, outline.length, circularity, area, perimeter, fitScore);
+
+      const shape = {
+        id: outShapes.length + 1,
         type,
-        vertices: hullClean,
+        vertices: concave ? concave.vertices
+          : composite ? approxClean
+          : ellipse ? removeColinear(hull, 6)
+            : triangle ? triangle.corners : quad || outline,
         rawVertices: approx,
         center,
         area,
+        perimeter,
+        contourArea,
         boundingBox: bbox,
+        orientedBox,
         confidence,
-      });
+        holes: holes.map(({ vertices, area, center, boundingBox }) => ({ vertices, area, center, boundingBox })),
+        parentId: null,
+        children: [],
+      };
+      applyBorderPolicy(shape, border, this.borderShapes);
+      if (ellipse) shape.ellipse = ellipse;
+      if (composite) {
+        shape.parameters = composite.parameters;
+        shape.primitives = primitives;
+      }
+      if (triangle) {
+        const { bySides, byAngles, angles, sides } = triangle;
+        shape.triangle = { bySides, byAngles, angles, sides };
+      }
+      if (outline.length >= 3 && (type === 'polygon' || POLYGON_NAMES[outline.length] === type)) {
+        shape.sides = outline.length;
+        shape.regularity = polygonRegularity(outline);
+      }
+      if (concave && concave.points) shape.points = concave.points;
+      if (concave && concave.direction) shape.direction = concave.direction;
+      if (s.split) shape.split = true;
+      if (s.merged) shape.merged = s.merged;
+      if (palette) {
+        shape.cluster = s.label;
+        shape.color = palette[s.label].color;
+      }
+      idOf.set(s.id, shape.id);
+      outShapes.push(shape);
     } // end for shapes
 
+    // parent/child links between reported shapes
+    for (const s of shapes) {
+      const id = idOf.get(s.id);
+      const parent = parentOf.get(s.id);
+      if (!id || !parent || !idOf.has(parent.owner)) continue;
+      const parentId = idOf.get(parent.owner);
+      outShapes[id - 1].parentId = parentId;
+      outShapes[parentId - 1].children.push(id);
+    }
+
+    // label image: result id of the shape owning each pixel (0 = none), rewritten in place
+    const toResult = new Int32Array(components.reduce((m, c) => Math.max(m, c.id), 0) + 1);
+    idOf.forEach((id, c) => { toResult[c] = id; });
+    for (let i = 0; i < comp.length; i++) comp[i] = toResult[comp[i]];
+
     const t1 = performance.now();
     return {
       shapes: outShapes,
+      labels: comp,
+      connectivity: this.connectivity,
       processingTime: t1 - t0,
+      alpha,
+      prefilter,
+      illumination,
+      threshold,
+      morphology: { op: this.morphOp, kernel: this.morphKernel, shape: this.morphShape },
     };
   } // end detectShapes
 
 
   // ----- helper methods below -----
 
-  // trace boundary using simple neighbor search inside bounding box
-  _traceBoundary(mask, width, height, minX, minY, maxX, maxY) {
-    const boundary = [];
-    // iterate bounding box and collect pixels that have at least one 4-neighbor background
-    for (let y = minY; y <= maxY; y++) {
-      for (let x = minX; x <= maxX; x++) {
-        const idx = y * width + x;
-        if (mask[idx] !== 1) continue;
-        const left = x > 0 ? mask[idx - 1] : 0;
-        const right = x < width - 1 ? mask[idx + 1] : 0;
-        const up = y > 0 ? mask[idx - width] : 0;
-        const down = y < height - 1 ? mask[idx + width] : 0;
-        if (left === 0 || right === 0 || up === 0 || down === 0) {
-          boundary.push({ x, y });
-        }
+  // Large images: run the pipeline on a box-downscaled copy, then re-detect each shape
+  // at full resolution inside its (padded) bounding box, reusing the cutoffs the coarse
+  // pass chose. Everything reported is mapped back to original-image coordinates.
+  async _detectPyramid(imageData, t0) {
+    const { width, height } = imageData;
+    const scale = Math.ceil(Math.sqrt((width * height) / this.maxPixels));
+
+    // illumination is a whole-image estimate: flatten once at full res, not per ROI
+    const { data: flat, illumination } = this._flattenIllumination(imageData.data, width, height);
+    const source = { width, height, data: flat };
+    // border contact is judged on the coarse pass (ROI edges are not image edges), so the
+    // sub-detectors only annotate; 'drop' has to happen up front to keep ids contiguous
+    const base = {
+      ...this,
+      pyramid: false,
+      illumination: 'none',
+      borderShapes: this.borderShapes === 'drop' ? 'drop' : 'keep',
+    };
+
+    const small = downscaleImage(source, scale);
+    const minArea = Math.max(4, Math.round(this.minArea / (scale * scale)));
+    const pad = 2 * scale + this.morphKernel;
+    // full-resolution ROI around a coarse bounding box
+    const roiOf = (bb) => {
+      const x0 = Math.max(0, bb.x * scale - pad), y0 = Math.max(0, bb.y * scale - pad);
+      const x1 = Math.min(width, (bb.x + bb.width) * scale + pad);
+      const y1 = Math.min(height, (bb.y + bb.height) * scale + pad);
+      return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    };
+
+    // shapes filling the frame: re-detecting every ROI costs more than one direct pass, so
+    // judge the share the ROIs would cover from the coarse components before classifying them
+    const coverage = this._coarseComponents(small, minArea)
+      .reduce((acc, c) => {
+        const roi = roiOf(c.boundingBox);
+        return acc + roi.width * roi.height;
+      }, 0) / (width * height);
+    if (coverage > this.pyramidCoverage) {
+      const direct = await new ShapeDetector({ ...this, pyramid: false, illumination: 'none' }).detectShapes(source);
+      return {
+        ...direct,
+        illumination,
+        processingTime: performance.now() - t0,
+        pyramid: { scale, coverage, direct: true },
+      };
+    }
+
+    const coarse = await new ShapeDetector({
+      ...base,
+      minArea,
+      mergeGap: this.mergeGap && Math.max(1, Math.round(this.mergeGap / scale)),
+    }).detectShapes(small);
+
+    const roiDetector = new ShapeDetector({ ...base, ...this._roiOptions(coarse.threshold, scale), borderShapes: 'keep' });
+    const shapes = [];
+    const labels = new Int32Array(width * height);
+    let refined = 0;
+    for (const cs of coarse.shapes) {
+      const bb = cs.boundingBox;
+      const roi = roiOf(bb);
+      const x0 = roi.x, y0 = roi.y;
+
+      let best = null;
+      let local = null;
+      let shape;
+      if (roi.width * roi.height <= this.maxPixels) {
+        local = await roiDetector.detectShapes(cropImage(source, roi));
+        best = pickRoiShape(local.shapes, cs.center.x * scale - x0, cs.center.y * scale - y0);
+      }
+      if (best) {
+        // the hierarchy comes from the whole-image coarse pass, not the ROI
+        shape = { ...mapShape(best, 1, x0, y0), id: cs.id, parentId: cs.parentId, children: cs.children };
+        paintLabels(labels, width, local.labels, roi.width, roi, best.id, cs.id, 1, x0, y0);
+        refined++;
+      } else {
+        shape = mapShape(cs, scale);
+        const box = {
+          x: bb.x * scale,
+          y: bb.y * scale,
+          width: Math.min(width, (bb.x + bb.width) * scale) - bb.x * scale,
+          height: Math.min(height, (bb.y + bb.height) * scale) - bb.y * scale,
+        };
+        paintLabels(labels, width, coarse.labels, small.width, box, cs.id, cs.id, scale);
       }
+      applyBorderPolicy(shape, { edges: cs.borderEdges, fraction: cs.borderFraction }, this.borderShapes);
+      shapes.push(shape);
+    }
+
+    return {
+      ...coarse,
+      shapes,
+      labels,
+      illumination,
+      processingTime: performance.now() - t0,
+      pyramid: { scale, coverage, coarseWidth: small.width, coarseHeight: small.height, refined },
+    };
+  }
+
+  // components of the coarse image of at least minArea pixels, from segmentation and
+  // morphology alone (no prefilter, merging or classification)
+  _coarseComponents(small, minArea) {
+    const { width, height } = small;
+    const transparent = hasTransparency(small.data);
+    const rgba = transparent && this.alphaMode === 'composite' ? compositeOnMatte(small.data, this.matteColor) : small.data;
+    const segmented = this._segment(rgba, width, height, transparent);
+    const mask = segmented.palette
+      ? applyMorphologyPerLabel(segmented.mask, width, height, this.morphOp, this.morphKernel, this.morphShape)
+      : applyMorphology(segmented.mask, width, height, this.morphOp, this.morphKernel, this.morphShape);
+    return labelComponents(mask, width, height, this.connectivity).components.filter(c => c.area >= minArea);
+  }
+
+  // options that make a ROI pass binarize the way the coarse pass did
+  _roiOptions(threshold, scale) {
+    const opts = {};
+    if (threshold.polarity) opts.polarity = threshold.polarity;
+    if (threshold.mode === 'otsu' || threshold.mode === 'fixed') {
+      opts.thresholdMode = 'fixed';
+      opts.threshold = threshold.value;
+    } else if (threshold.mode === 'adaptive') {
+      opts.adaptiveWindow = threshold.adaptive.window * scale;
+    } else if (threshold.mode === 'background') {
+      opts.backgroundTolerance = threshold.value;
+    } else if (threshold.mode === 'palette') {
+      // same clusters, so every ROI labels colors the way the whole image did
+      opts.paletteCenters = threshold.palette.map(c => c.rgb);
+    } else if (threshold.mode === 'edges') {
+      opts.cannyLow = threshold.edges.low;
+      opts.cannyHigh = threshold.edges.high;
+    }
+    return opts;
+  }
+
+  // step 0b: estimate the illumination field from luminance and divide it out of RGB
+  _flattenIllumination(data, width, height) {
+    const method = this.illumination;
+    if (method !== 'blur' && method !== 'polynomial') {
+      return { data, illumination: { method: 'none' } };
+    }
+    const ti = performance.now();
+    const gray = toLuminance(data, width, height);
+    const field = method === 'blur'
+      ? estimateIlluminationBlur(gray, width, height, this.illuminationRadius > 0
+        ? this.illuminationRadius
+        : Math.max(width, height) / 8)
+      : estimateIlluminationPolynomial(gray, width, height, this.illuminationDegree);
+    const corrected = correctIllumination(data, field, width, height);
+    return {
+      data: corrected.data,
+      illumination: {
+        method,
+        time: performance.now() - ti,
+        field: corrected.fieldImage,
+        image: { width, height, data: corrected.data },
+      },
+    };
+  }
+
+  // step 1: binarize according to thresholdMode (or alpha, for transparent images in 'mask' mode).
+  // Returns the mask plus a report of the cutoff used (and the histogram it came from).
+  _segment(data, width, height, transparent) {
+    if (transparent && this.alphaMode === 'mask') {
+      return {
+        mask: alphaMask(data, width, height, this.alphaCutoff),
+        threshold: { mode: 'alpha', value: this.alphaCutoff },
+      };
+    }
+
+    const mode = this.thresholdMode;
+
+    if (mode === 'palette') {
+      const seg = paletteSegmentation(data, width, height, { colors: this.paletteColors, centers: this.paletteCenters });
+      return {
+        mask: seg.labels,
+        palette: seg.palette,
+        threshold: { mode, palette: seg.palette, background: seg.background },
+      };
+    }
+
+    if (mode === 'background') {
+      // foreground = far (in Lab) from the color found along the image border
+      const seg = backgroundDistanceMask(data, width, height, { tolerance: this.backgroundTolerance });
+      return {
+        mask: seg.mask,
+        threshold: { mode, value: seg.tolerance, histogram: seg.histogram, background: seg.background },
+      };
+    }
+
+    const gray = toLuminance(data, width, height);
+    const histogram = computeHistogram(gray);
+
+    if (mode === 'edges') {
+      // polarity-free: outlines come from gradients, enclosed areas become the region
+      const { edges, low, high } = canny(gray, width, height, { low: this.cannyLow, high: this.cannyHigh });
+      return {
+        mask: edgeRegionMask(edges, width, height, this.edgeCloseKernel),
+        threshold: { mode, value: high, histogram, edges: { low, high } },
+      };
+    }
+
+    // luminance modes: foreground = dark pixels, or light ones when polarity says so
+    // Otsu's level t puts [0..t] in the dark class, i.e. everything below t + 1
+    const value = mode === 'fixed' ? this.threshold : otsuThreshold(histogram) + 1;
+    const polarity = this.polarity === 'auto'
+      ? detectPolarity(gray, width, height, histogram)
+      : this.polarity;
+
+    const mask = applyGlobalThreshold(gray, value);
+    if (polarity === 'light') {
+      for (let i = 0; i < mask.length; i++) mask[i] ^= 1;
+    }
+
+    if (mode === 'adaptive') {
+      const window = this.adaptiveWindow > 0
+        ? this.adaptiveWindow
+        : autoAdaptiveWindow(mask, width, height);
+      const adaptive = { method: this.adaptiveMethod, window, bias: this.adaptiveBias };
+      // local thresholds are not symmetric, so light shapes are found on the inverted image
+      const src = polarity === 'light' ? invertGray(gray) : gray;
+      return {
+        mask: fillFromGlobal(adaptiveThreshold(src, width, height, adaptive), mask, width, height),
+        threshold: { mode, value, histogram, polarity, adaptive },
+      };
     }
-    // order boundary points to form a path (nearest-neighbor greedy)
-    return orderBoundary(boundary);
+
+    return { mask, threshold: { mode, value, histogram, polarity } };
   }
 }
 
 
 // ---------- Utility functions (inside file) ----------
 
-function orderBoundary(points) {
-  if (!points || points.length === 0) return [];
-  const used = new Array(points.length).fill(false);
-  const out = [];
-  let idx = 0;
-  out.push(points[idx]);
-  used[idx] = true;
-  for (let step = 1; step < points.length; step++) {
-    let best = -1;
-    let bestDist = Infinity;
-    const cur = out[out.length - 1];
-    for (let i = 0; i < points.length; i++) {
-      if (used[i]) continue;
-      const dx = points[i].x - cur.x;
-      const dy = points[i].y - cur.y;
-      const d = dx * dx + dy * dy;
-      if (d < bestDist) {
-        bestDist = d;
-        best = i;
-      }
-    }
-    if (best === -1) break;
-    used[best] = true;
-    out.push(points[best]);
+// ROI shape matching the coarse one: the largest whose box contains the expected
+// center, else the one with the nearest center
+function pickRoiShape(shapes, cx, cy) {
+  let best = null;
+  for (const s of shapes) {
+    const b = s.boundingBox;
+    const inside = cx >= b.x && cx < b.x + b.width && cy >= b.y && cy < b.y + b.height;
+    if (inside && (!best || s.area > best.area)) best = s;
   }
-  return out;
+  if (best) return best;
+  let bestD = Infinity;
+  for (const s of shapes) {
+    const d = Math.hypot(s.center.x - cx, s.center.y - cy);
+    if (d < bestD) { bestD = d; best = s; }
+  }
+  return best;
 }
 
 function polygonPerimeter(points) {
@@ -208,27 +603,220 @@ function polygonPerimeter(points) {
   return p;
 }
 
-// centroid by pixels
-function centroidFromPixels(pixels) {
-  if (!pixels || pixels.length === 0) return { x: 0, y: 0 };
-  let sx = 0, sy = 0;
-  for (let i = 0; i < pixels.length; i++) {
-    sx += pixels[i].x;
-    sy += pixels[i].y;
+// signed shoelace area (positive for clockwise loops on screen)
+function polygonArea(points) {
+  let a = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    a += p.x * q.y - q.x * p.y;
   }
-  return { x: Math.round(sx / pixels.length), y: Math.round(sy / pixels.length) };
+  return a / 2;
 }
 
-function computeConfidence(type, vCount, circularity, area, perimeter) {
+// Gray level of the sub-pixel outline. A fixed cutoff is taken as given (gray < value is
+// dark); Otsu's cutoff can sit anywhere in the empty valley of a clean two-tone image,
+// so use the midpoint of the two class means, where a blurred step edge crosses.
+function isoLevel(threshold) {
+  const { value, histogram } = threshold;
+  if (threshold.mode !== 'otsu' || !histogram) return value - 0.5;
+  let n0 = 0, s0 = 0, n1 = 0, s1 = 0;
+  for (let g = 0; g < 256; g++) {
+    if (g < value) { n0 += histogram[g]; s0 += g * histogram[g]; } else { n1 += histogram[g]; s1 += g * histogram[g]; }
+  }
+  return n0 && n1 ? (s0 / n0 + s1 / n1) / 2 : value - 0.5;
+}
+
+// Sub-pixel outer outline of component s: the iso-line of a signed field over its
+// padded bounding box. Where a single global luminance level exists (otsu / fixed) the
+// field is the distance of each gray value from it, so edges land between pixel centers
+// according to the anti-aliasing; the component mask fixes the sign (inside > 0 >
+// outside) so the topology matches the traced component. Other modes get the mask alone,
+// i.e. a half-pixel outline.
+function subpixelContour(comp, s, gray, threshold, width, height, connectivity) {
+  const bb = s.boundingBox;
+  const x0 = bb.x - 1, y0 = bb.y - 1, fw = bb.width + 2, fh = bb.height + 2;
+  const global = threshold.mode === 'otsu' || threshold.mode === 'fixed';
+  const level = global ? isoLevel(threshold) : 0;
+  const light = threshold.polarity === 'light';
+  // the one-pixel ring around the box is never the component, so every loop closes
+  const field = new Float32Array(fw * fh).fill(-0.5);
+  for (let ly = 0; ly < fh; ly++) {
+    for (let lx = 0; lx < fw; lx++) {
+      const gx = x0 + lx, gy = y0 + ly;
+      if (gx < 0 || gy < 0 || gx >= width || gy >= height) continue;
+      const g = gy * width + gx;
+      const f = global ? (light ? gray[g] - level : level - gray[g]) : 0;
+      field[ly * fw + lx] = comp[g] === s.id ? Math.max(f, 0.5) : Math.min(f, -0.5);
+    }
+  }
+  const loops = isoContours(field, fw, fh, 0, connectivity);
+  let best = null, bestArea = 0;
+  for (const loop of loops) {
+    const a = Math.abs(polygonArea(loop));
+    if (a > bestArea) { best = loop; bestArea = a; }
+  }
+  return best ? best.map(p => ({ x: p.x + x0, y: p.y + y0 })) : s.contour;
+}
+
+// which image edges a contour runs along, and the fraction of its points lying there
+function borderContact(contour, width, height) {
+  let left = false, right = false, top = false, bottom = false, onEdge = 0;
+  for (const p of contour) {
+    const l = p.x === 0, r = p.x === width - 1, t = p.y === 0, b = p.y === height - 1;
+    if (l || r || t || b) onEdge++;
+    left = left || l;
+    right = right || r;
+    top = top || t;
+    bottom = bottom || b;
+  }
+  const edges = [];
+  if (top) edges.push('top');
+  if (right) edges.push('right');
+  if (bottom) edges.push('bottom');
+  if (left) edges.push('left');
+  return { edges, fraction: contour.length ? onEdge / contour.length : 0 };
+}
+
+// Annotate border contact; a truncated shape's type and confidence come from a partial
+// outline, so 'discount' scales confidence by the share of the outline that is real and
+// 'partial' reports the type it resembles as partialOf.
+function applyBorderPolicy(shape, border, mode) {
+  shape.touchesBorder = border.edges.length > 0;
+  shape.borderEdges = border.edges;
+  shape.borderFraction = border.fraction;
+  if (!shape.touchesBorder) return;
+  if (mode === 'discount') {
+    shape.confidence = Math.max(0.12, shape.confidence * (1 - border.fraction));
+  } else if (mode === 'partial') {
+    shape.partialOf = shape.type;
+    shape.type = 'partial';
+  }
+}
+
+// An ellipse fit describes the outline when the points hug it (RMS distance within
+// staircase noise, or a small fraction of the minor axis; `slack` times that for loose
+// fits) and it encloses the same area; polygons fit a smooth curve far more loosely at
+// their corners.
+function ellipseTolerance(fit) {
+  return Math.max(0.45, 0.02 * fit.semiMinor);
+}
+
+function ellipseFits(fit, contourArea, slack = 1) {
+  const areaRatio = contourArea / (Math.PI * fit.semiMajor * fit.semiMinor);
+  return fit.residual <= slack * ellipseTolerance(fit) && Math.abs(areaRatio - 1) < 0.08;
+}
+
+// Corners of a polygon with many sides, which fits an ellipse closely as well: the
+// outline's radial deviation from the ellipse is split into harmonics, the strongest one
+// (from the 5th up; triangles and quadrilaterals are left to the hull) gives n evenly
+// spaced peaks, and the corners refined from those peaks
+// count when the outline lies much closer to their polygon than to the ellipse (a round
+// outline, even a wobbly one, sags between them). Returns the corners or null.
+function findCorners(contour, fit) {
+  const N = contour.length;
+  const t = (fit.angle * Math.PI) / 180, ct = Math.cos(t), st = Math.sin(t);
+  const phi = new Float64Array(N), dev = new Float64Array(N);
+  for (let k = 0; k < N; k++) {
+    const dx = contour[k].x - fit.center.x, dy = contour[k].y - fit.center.y;
+    const u = (dx * ct + dy * st) / fit.semiMajor, v = (-dx * st + dy * ct) / fit.semiMinor;
+    phi[k] = Math.atan2(v, u);
+    dev[k] = Math.hypot(u, v) - 1;
+  }
+  let n = 0, best = 0, phase = 0;
+  for (let m = 3; m <= Math.min(32, N >> 3); m++) {
+    let re = 0, im = 0;
+    for (let k = 0; k < N; k++) {
+      re += dev[k] * Math.cos(m * phi[k]);
+      im += dev[k] * Math.sin(m * phi[k]);
+    }
+    const amp = re * re + im * im;
+    if (amp > best) { best = amp; n = m; phase = Math.atan2(im, re); }
+  }
+  if (n < 5) return null;
+
+  // the outline point deviating most near each peak, in order of angle
+  const peaks = new Array(n).fill(-1);
+  for (let k = 0; k < N; k++) {
+    const slot = Math.round(((phi[k] * n - phase) / (2 * Math.PI))), i = ((slot % n) + n) % n;
+    const off = Math.abs(phi[k] * n - phase - 2 * Math.PI * slot);
+    if (off <= Math.PI / 2 && (peaks[i] < 0 || dev[k] > dev[peaks[i]])) peaks[i] = k;
+  }
+  if (peaks.some(k => k < 0)) return null;
+  peaks.sort((a, b) => phi[a] - phi[b]);
+  const corners = refineCorners(contour, peaks.map(k => contour[k]));
+
+  let sq = 0;
+  for (const p of contour) {
+    let d = Infinity;
+    for (let i = 0; i < n; i++) d = Math.min(d, segmentDistance(p, corners[i], corners[(i + 1) % n]));
+    sq += d * d;
+  }
+  return Math.sqrt(sq / N) < 0.6 * fit.residual ? corners : null;
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+}
+
+// polygons named by their number of sides; others stay 'polygon' (with sides)
+const POLYGON_NAMES = { 5: 'pentagon', 6: 'hexagon', 7: 'heptagon', 8: 'octagon' };
+
+// 1 for a regular polygon, lowered by the spread (coefficient of variation) of its side
+// lengths and of its interior angles
+function polygonRegularity(vertices) {
+  const n = vertices.length;
+  const sides = [], angles = [];
+  for (let i = 0; i < n; i++) {
+    const prev = vertices[(i - 1 + n) % n], cur = vertices[i], next = vertices[(i + 1) % n];
+    sides.push(Math.hypot(next.x - cur.x, next.y - cur.y));
+    const v1x = prev.x - cur.x, v1y = prev.y - cur.y;
+    const v2x = next.x - cur.x, v2y = next.y - cur.y;
+    const dot = (v1x * v2x + v1y * v2y) / ((Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y)) || 1);
+    angles.push(Math.acos(Math.max(-1, Math.min(1, dot))));
+  }
+  const variation = (values) => {
+    const mean = values.reduce((a, v) => a + v, 0) / values.length;
+    const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+    return mean > 0 ? Math.sqrt(variance) / mean : 0;
+  };
+  return Math.max(0, 1 - variation(sides) - variation(angles));
+}
+
+// hole outline simplified like an outer contour, with its own circularity
+function describeHole(hole) {
+  const perimeter = polygonPerimeter(hole.contour);
+  const vertices = removeColinear(douglasPeucker(hole.contour, Math.max(4, 0.02 * perimeter)), 6);
+  const bb = hole.boundingBox;
+  return {
+    vertices,
+    area: hole.area,
+    center: { x: bb.x + (bb.width - 1) / 2, y: bb.y + (bb.height - 1) / 2 },
+    boundingBox: bb,
+    circularity: perimeter > 0 ? (4 * Math.PI * hole.area) / (perimeter * perimeter) : 0,
+  };
+}
+
+// fitScore (0..1) scales the result for shapes whose model explains the outline only in part
+function computeConfidence(type, vCount, circularity, area, perimeter, fitScore = 1) {
   let base = 0.5;
   if (type === 'triangle') base = 0.9;
   if (type === 'square' || type === 'rectangle') base = 0.88;
+  if (['rhombus', 'parallelogram', 'trapezoid', 'kite'].includes(type)) base = 0.85;
   if (type === 'circle') base = 0.93;
-  if (type === 'polygon') base = 0.65;
+  if (type === 'ellipse') base = 0.9;
+  if (type === 'annulus' || type === 'frame') base = 0.9;
+  if (['star', 'arrow', 'cross', 'l-shape', 't-shape', 'chevron'].includes(type)) base = 0.85;
+  if (['semicircle', 'quarter-circle', 'sector', 'crescent', 'stadium', 'rounded-rectangle'].includes(type)) base = 0.85;
+  if (Object.values(POLYGON_NAMES).includes(type)) base = 0.8;
+  if (type === 'polygon' || type === 'quadrilateral') base = 0.65;
   // bump by circularity and polygon compactness
   const circBoost = Math.min(0.15, Math.max(0, (circularity - 0.4) * 0.5));
   const sizeBoost = Math.min(0.2, Math.log10(Math.max(10, area)) * 0.03);
-  return Math.max(0.12, Math.min(0.99, base + circBoost + sizeBoost));
+  return Math.max(0.12, Math.min(0.99, base + circBoost + sizeBoost) * fitScore);
 }
 
 // --- Douglas-Peucker (recursive) ---
@@ -296,6 +884,48 @@ function convexHull(points) {
   return lower.concat(upper);
 }
 
+// Sharpen blunted hull corners. An edge shorter than minEdge (the traced outline's start
+// and end pixels) collapses into its midpoint; one much shorter than the average edge is
+// replaced by the point where its neighbors meet, if that adds little area (parallel
+// neighbors, like the short sides of a thin rectangle, never meet).
+function sharpenCorners(points, minEdge) {
+  const res = points.slice();
+  while (res.length > 3) {
+    const n = res.length;
+    const area = Math.abs(polygonArea(res));
+    const limit = Math.max(minEdge, (0.4 * polygonPerimeter(res)) / n);
+    let best = -1, bestLen = limit, corner = null;
+    for (let i = 0; i < n; i++) {
+      const a = res[i], b = res[(i + 1) % n];
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      if (len >= bestLen) continue;
+      let c = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      if (len >= minEdge) {
+        c = lineIntersection(res[(i - 1 + n) % n], a, b, res[(i + 2) % n]);
+        if (!c || Math.abs(cross(a, b, c)) / 2 > 0.03 * area || cross(a, b, c) * polygonArea(res) > 0) continue;
+      }
+      best = i;
+      bestLen = len;
+      corner = c;
+    }
+    if (best < 0) break;
+    res[best] = corner;
+    res.splice((best + 1) % n, 1);
+  }
+  return res;
+}
+
+// intersection of line p1-p2 with line p3-p4; null when (nearly) parallel
+function lineIntersection(p1, p2, p3, p4) {
+  const d1x = p2.x - p1.x, d1y = p2.y - p1.y;
+  const d2x = p4.x - p3.x, d2y = p4.y - p3.y;
+  const den = d1x * d2y - d1y * d2x;
+  if (Math.abs(den) < 1e-9 * Math.hypot(d1x, d1y) * Math.hypot(d2x, d2y) || Math.abs(den) < 1e-12) return null;
+  const t = ((p3.x - p1.x) * d2y - (p3.y - p1.y) * d2x) / den;
+  if (Math.abs(t) > 1e3) return null;
+  return { x: p1.x + t * d1x, y: p1.y + t * d1y };
+}
+
 // remove near-colinear consecutive points (closed polygon)
 function removeColinear(points, angleTolDeg = 6) {
   if (!points || points.length <= 3) return points.slice();
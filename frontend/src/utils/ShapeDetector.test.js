@@ -0,0 +1,66 @@
+import ShapeDetector from './ShapeDetector';
+
+// white RGBA image with black pixels wherever inside(x + 0.5, y + 0.5) holds
+function image(width, height, inside) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (inside(x + 0.5, y + 0.5)) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+// regular polygon with n sides around (cx, cy), first corner straight up
+function regularPolygon(cx, cy, r, n) {
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const a = (2 * Math.PI * i) / n - Math.PI / 2;
+    pts.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  return (x, y) => {
+    let inside = false;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const [xi, yi] = pts[i], [xj, yj] = pts[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  };
+}
+
+describe('polygons with many sides', () => {
+  it.each([
+    [9, 40], [9, 130], [10, 40], [10, 130],
+  ])('reports a regular %i-gon of radius %i by its sides, not as a circle', async (n, r) => {
+    const size = 2 * r + 40;
+    for (const contourSource of ['pixels', 'subpixel']) {
+      const result = await new ShapeDetector({ contourSource }).detectShapes(image(size, size, regularPolygon(size / 2, size / 2, r, n)));
+      expect(result.shapes).toHaveLength(1);
+      expect(result.shapes[0].type).toBe('polygon');
+      expect(result.shapes[0].sides).toBe(n);
+    }
+  });
+
+  it('keeps a disk a circle', async () => {
+    const result = await new ShapeDetector().detectShapes(image(300, 300, (x, y) => (x - 150) ** 2 + (y - 150) ** 2 <= 130 ** 2));
+    expect(result.shapes[0].type).toBe('circle');
+  });
+});
+
+describe('pyramid detection', () => {
+  // 3x3 grid of disks filling a 300x300 image
+  const disks = (x, y) => ((x % 100) - 50) ** 2 + ((y % 100) - 50) ** 2 <= 40 ** 2;
+
+  it('takes the direct path when the shapes fill the frame', async () => {
+    const result = await new ShapeDetector({ maxPixels: 20000 }).detectShapes(image(300, 300, disks));
+    expect(result.pyramid.direct).toBe(true);
+    expect(result.shapes).toHaveLength(9);
+  });
+
+  it('refines sparse shapes in regions of interest', async () => {
+    const result = await new ShapeDetector({ maxPixels: 20000 }).detectShapes(image(300, 300, (x, y) => x < 100 && y < 100 && disks(x, y)));
+    expect(result.pyramid.direct).toBeUndefined();
+    expect(result.pyramid.refined).toBe(1);
+    expect(result.shapes.map(s => s.type)).toEqual(['circle']);
+  });
+});
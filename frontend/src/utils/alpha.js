@@ -0,0 +1,31 @@
+// frontend/src/utils/alpha.js
+// Alpha-channel handling for transparent uploads. Canvas ImageData stores fully
+// transparent pixels as (0,0,0,0), which reads as solid black unless alpha is honored.
+
+export function hasTransparency(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+// composite RGB over a solid matte color; alpha is left as-is
+export function compositeOnMatte(data, matte = [255, 255, 255]) {
+  const out = new Uint8ClampedArray(data);
+  const [mr, mg, mb] = matte;
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    if (a === 1) continue;
+    out[i] = data[i] * a + mr * (1 - a);
+    out[i + 1] = data[i + 1] * a + mg * (1 - a);
+    out[i + 2] = data[i + 2] * a + mb * (1 - a);
+  }
+  return out;
+}
+
+// alpha as the foreground signal: 1 where alpha >= cutoff
+export function alphaMask(data, width, height, cutoff = 128) {
+  const mask = new Uint8Array(width * height);
+  for (let i = 3, p = 0; i < data.length; i += 4, p++) mask[p] = data[i] >= cutoff ? 1 : 0;
+  return mask;
+}
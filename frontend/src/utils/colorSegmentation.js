@@ -0,0 +1,256 @@
+// frontend/src/utils/colorSegmentation.js
+// Background-model segmentation: estimate the background color from the image
+// border, then mark foreground by CIE Lab distance (deltaE 76) from it.
+// Catches pale shapes on white and dark shapes on black, which a luminance cutoff misses.
+// Also: palette quantization (median cut + k-means) that labels pixels per color cluster.
+
+import { forEachBorderPixel } from './thresholding';
+
+// sRGB byte -> linear light, precomputed
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+// sRGB (0..255) -> CIE Lab, D65 white
+export function rgbToLab(r, g, b) {
+  const lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+  const X = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+  const Y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  const Z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+  const fx = labF(X), fy = labF(Y), fz = labF(Z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+function median(values) {
+  const v = values.slice().sort((p, q) => p - q);
+  return v.length ? v[v.length >> 1] : 0;
+}
+
+// Background color = per-channel median over a border band `band` px wide.
+// The median ignores shapes that touch the border as long as they cover less than half of it.
+export function estimateBorderBackground(data, width, height, band = 2) {
+  const rs = [], gs = [], bs = [];
+  forEachBorderPixel(width, height, band, (p) => {
+    rs.push(data[p * 4]);
+    gs.push(data[p * 4 + 1]);
+    bs.push(data[p * 4 + 2]);
+  });
+  const r = median(rs), g = median(gs), b = median(bs);
+  return { r, g, b, lab: rgbToLab(r, g, b) };
+}
+
+// Foreground mask by Lab distance from the background color.
+// tolerance > 0 is a fixed deltaE cutoff; 0 derives one from the background's own noise:
+// five times the median deltaE of the border band from its median color (a median
+// absolute deviation, so shapes touching the border do not count as noise until they
+// cover half of it), clamped to [minTolerance, maxTolerance].
+export function backgroundDistanceMask(data, width, height, opts = {}) {
+  const { tolerance = 0, minTolerance = 6, maxTolerance = 30, band = 2 } = opts;
+  const background = estimateBorderBackground(data, width, height, band);
+  const { L: L0, a: a0, b: b0 } = background.lab;
+
+  const dist = new Uint8Array(width * height);
+  const histogram = new Array(256).fill(0);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    const { L, a, b } = rgbToLab(data[i], data[i + 1], data[i + 2]);
+    const d = Math.min(255, Math.round(Math.hypot(L - L0, a - a0, b - b0)));
+    dist[p] = d;
+    histogram[d]++;
+  }
+
+  let cutoff = tolerance;
+  if (!(cutoff > 0)) {
+    const borderDist = [];
+    forEachBorderPixel(width, height, band, (p) => borderDist.push(dist[p]));
+    cutoff = Math.min(maxTolerance, Math.max(minTolerance, 5 * median(borderDist)));
+  }
+
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < dist.length; p++) mask[p] = dist[p] >= cutoff ? 1 : 0;
+
+  return { mask, background, tolerance: cutoff, histogram };
+}
+
+// --- palette (color quantization) segmentation ---
+
+function toHex(c) {
+  return '#' + [c.r, c.g, c.b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// Median cut: repeatedly split the box with the widest channel range at its median.
+// samples = array of [r,g,b]; returns up to k box means as {r,g,b}.
+export function medianCut(samples, k) {
+  const boxes = [samples];
+  while (boxes.length < k) {
+    let bi = -1, bestRange = 0, bestCh = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let ch = 0; ch < 3; ch++) {
+        let lo = 255, hi = 0;
+        for (const s of box) {
+          if (s[ch] < lo) lo = s[ch];
+          if (s[ch] > hi) hi = s[ch];
+        }
+        if (hi - lo > bestRange) { bestRange = hi - lo; bi = i; bestCh = ch; }
+      }
+    });
+    if (bi === -1) break; // every box is a single color
+    const box = boxes[bi].slice().sort((p, q) => p[bestCh] - q[bestCh]);
+    const mid = box.length >> 1;
+    boxes.splice(bi, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes.map((box) => {
+    let r = 0, g = 0, b = 0;
+    for (const s of box) { r += s[0]; g += s[1]; b += s[2]; }
+    return { r: r / box.length, g: g / box.length, b: b / box.length };
+  });
+}
+
+function nearestCenter(centers, r, g, b) {
+  let best = 0, bestD = Infinity;
+  for (let c = 0; c < centers.length; c++) {
+    const dr = r - centers[c].r, dg = g - centers[c].g, db = b - centers[c].b;
+    const d = dr * dr + dg * dg + db * db;
+    if (d < bestD) { bestD = d; best = c; }
+  }
+  return best;
+}
+
+// Lloyd's k-means refinement of the given centers on the samples
+export function kMeans(samples, centers, iterations = 6) {
+  let cur = centers.map(c => ({ ...c }));
+  for (let it = 0; it < iterations; it++) {
+    const acc = cur.map(() => ({ r: 0, g: 0, b: 0, n: 0 }));
+    for (const s of samples) {
+      const a = acc[nearestCenter(cur, s[0], s[1], s[2])];
+      a.r += s[0]; a.g += s[1]; a.b += s[2]; a.n++;
+    }
+    cur = acc.map((a, i) => (a.n ? { r: a.r / a.n, g: a.g / a.n, b: a.b / a.n } : cur[i]));
+  }
+  return cur;
+}
+
+// Distance from color (r, g, b) to the segment between colors c0 and c1 ([r, g, b]), and
+// where along it the color lies (0 = c0, 1 = c1).
+function blendDistance(r, g, b, c0, c1) {
+  const dr = c1[0] - c0[0], dg = c1[1] - c0[1], db = c1[2] - c0[2];
+  const len2 = dr * dr + dg * dg + db * db;
+  const t = len2 ? Math.max(0, Math.min(1, ((r - c0[0]) * dr + (g - c0[1]) * dg + (b - c0[2]) * db) / len2)) : 0;
+  return { t, d: Math.hypot(r - c0[0] - t * dr, g - c0[1] - t * dg, b - c0[2] - t * db) };
+}
+
+// Anti-aliased edges blend two neighbouring colors, and the blend can land nearest a third
+// cluster (or get a cluster of its own), leaving slivers along outlines. A pixel whose color
+// lies within `tolerance` of the blend of two other labels found within 2 px of it (their
+// mean colors there) takes whichever of the two it is closer to. labels are read before any
+// reassignment.
+function reassignTransitions(labels, data, width, height, labelCount, tolerance) {
+  // only pixels within 2 px of a label boundary can have other labels around them
+  const near = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if ((x + 1 < width && labels[p + 1] !== labels[p]) || (y + 1 < height && labels[p + width] !== labels[p])) {
+        for (let yy = Math.max(0, y - 2); yy <= Math.min(height - 1, y + 3); yy++) {
+          near.fill(1, yy * width + Math.max(0, x - 2), yy * width + Math.min(width, x + 4));
+        }
+      }
+    }
+  }
+
+  const out = labels.slice();
+  const sum = new Float64Array(labelCount * 4);
+  const seen = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x, own = labels[p];
+      if (!near[p]) continue;
+      seen.length = 0;
+      for (let yy = Math.max(0, y - 2); yy <= Math.min(height - 1, y + 2); yy++) {
+        for (let xx = Math.max(0, x - 2); xx <= Math.min(width - 1, x + 2); xx++) {
+          const q = yy * width + xx, l = labels[q];
+          if (l === own) continue;
+          if (!seen.includes(l)) {
+            seen.push(l);
+            sum.fill(0, l * 4, l * 4 + 4);
+          }
+          sum[l * 4] += data[q * 4];
+          sum[l * 4 + 1] += data[q * 4 + 1];
+          sum[l * 4 + 2] += data[q * 4 + 2];
+          sum[l * 4 + 3]++;
+        }
+      }
+      if (seen.length < 2) continue;
+
+      const mean = seen.map(l => [sum[l * 4] / sum[l * 4 + 3], sum[l * 4 + 1] / sum[l * 4 + 3], sum[l * 4 + 2] / sum[l * 4 + 3]]);
+      const r = data[p * 4], g = data[p * 4 + 1], b = data[p * 4 + 2];
+      let best = tolerance;
+      for (let i = 0; i < seen.length; i++) {
+        for (let j = i + 1; j < seen.length; j++) {
+          const { t, d } = blendDistance(r, g, b, mean[i], mean[j]);
+          if (d < best && t > 0 && t < 1) {
+            best = d;
+            out[p] = t < 0.5 ? seen[i] : seen[j];
+          }
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// Quantize the image to a small palette (median cut seeds + k-means) and label every
+// pixel with its cluster. The cluster nearest the border background color becomes 0;
+// the others are 1..n, so adjacent shapes of different colors end up in different labels.
+// Centers closer than mergeDistance (RGB units) are merged so shading does not split a shape.
+// Given centers ([{r, g, b}], background first) are used as they are, skipping clustering,
+// so a crop can be labelled with the palette of the whole image.
+export function paletteSegmentation(data, width, height, opts = {}) {
+  const { colors = 8, mergeDistance = 24, maxSamples = 40000 } = opts;
+  const n = width * height;
+  let centers = opts.centers;
+  let bgIndex = 0;
+  if (!centers) {
+    const stride = Math.max(1, Math.floor(n / maxSamples));
+    const samples = [];
+    for (let p = 0; p < n; p += stride) samples.push([data[p * 4], data[p * 4 + 1], data[p * 4 + 2]]);
+
+    centers = kMeans(samples, medianCut(samples, colors));
+    const merged = [];
+    for (const c of centers) {
+      const near = merged.find(m => Math.hypot(m.r - c.r, m.g - c.g, m.b - c.b) < mergeDistance);
+      if (!near) merged.push(c);
+    }
+    centers = kMeans(samples, merged, 2);
+
+    const bg = estimateBorderBackground(data, width, height);
+    bgIndex = nearestCenter(centers, bg.r, bg.g, bg.b);
+  }
+  // label order: background first, then the rest in palette order
+  const order = [bgIndex, ...centers.map((_, i) => i).filter(i => i !== bgIndex)];
+  const labelOf = new Uint8Array(centers.length);
+  order.forEach((ci, label) => { labelOf[ci] = label; });
+
+  const nearest = new Uint8Array(n);
+  for (let p = 0; p < n; p++) nearest[p] = labelOf[nearestCenter(centers, data[p * 4], data[p * 4 + 1], data[p * 4 + 2])];
+  const labels = reassignTransitions(nearest, data, width, height, centers.length, mergeDistance / 2);
+  const counts = new Array(centers.length).fill(0);
+  for (let p = 0; p < n; p++) counts[labels[p]]++;
+
+  const palette = order.map((ci, label) => {
+    const c = centers[ci];
+    return {
+      index: label,
+      color: toHex(c),
+      rgb: { r: Math.round(c.r), g: Math.round(c.g), b: Math.round(c.b) },
+      count: counts[label],
+    };
+  });
+  return { labels, palette, background: palette[0] };
+}
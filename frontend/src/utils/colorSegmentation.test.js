@@ -0,0 +1,58 @@
+import ShapeDetector from './ShapeDetector';
+import { backgroundDistanceMask } from './colorSegmentation';
+
+// white RGBA image painted by color(x, y) -> [r, g, b] or null
+function image(width, height, color) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const c = color(x, y);
+      if (c) data.set(c, (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// half disks on the left and right edges around a centred square
+const edgeShapes = image(400, 300, (x, y) => {
+  if (x ** 2 + (y - 150) ** 2 <= 100 ** 2) return [51, 102, 204];
+  if ((x - 399) ** 2 + (y - 150) ** 2 <= 100 ** 2) return [204, 51, 51];
+  if (x >= 160 && x < 240 && y >= 110 && y < 190) return [51, 170, 85];
+  return null;
+});
+
+// anti-aliased regular hexagon (4x4 supersampled coverage) with corners pointing left and right
+function hexagon(width, height, cx, cy, r, rgb) {
+  const corners = [0, 1, 2, 3, 4, 5].map(i => [cx + r * Math.cos(i * Math.PI / 3), cy + r * Math.sin(i * Math.PI / 3)]);
+  const inside = (x, y) => corners.every(([x0, y0], i) => {
+    const [x1, y1] = corners[(i + 1) % 6];
+    return (x1 - x0) * (y - y0) - (y1 - y0) * (x - x0) >= 0;
+  });
+  return image(width, height, (x, y) => {
+    let covered = 0;
+    for (let sy = 0; sy < 4; sy++) {
+      for (let sx = 0; sx < 4; sx++) covered += inside(x + (sx + 0.5) / 4, y + (sy + 0.5) / 4);
+    }
+    return covered ? rgb.map(v => Math.round(255 + (v - 255) * covered / 16)) : null;
+  });
+}
+
+describe('background color segmentation', () => {
+  it('estimates the tolerance from background noise, not from shapes on the border', () => {
+    const { tolerance } = backgroundDistanceMask(edgeShapes.data, edgeShapes.width, edgeShapes.height);
+    expect(tolerance).toBeLessThanOrEqual(30);
+  });
+
+  it('finds shapes touching the image edge', async () => {
+    const result = await new ShapeDetector({ thresholdMode: 'background' }).detectShapes(edgeShapes);
+    expect(result.shapes).toHaveLength(3);
+    expect(result.shapes.filter(s => s.touchesBorder)).toHaveLength(2);
+  });
+});
+
+describe('palette segmentation', () => {
+  it('keeps anti-aliased edges with the shape instead of making slivers of them', async () => {
+    const result = await new ShapeDetector({ thresholdMode: 'palette' }).detectShapes(hexagon(300, 200, 150, 100, 70, [41, 128, 185]));
+    expect(result.shapes.map(s => s.type)).toEqual(['hexagon']);
+  });
+});
@@ -0,0 +1,128 @@
+// frontend/src/utils/concave.js
+// Classification of concave outlines from their simplified polygon: every vertex is
+// convex or reflex (a convexity defect), and the cyclic pattern of the two, together
+// with the corner angles, tells stars, arrows, crosses, L/T shapes and chevrons apart.
+
+const DIRECTIONS = ['right', 'down-right', 'down', 'down-left', 'left', 'up-left', 'up', 'up-right'];
+
+// compass direction of a screen-space vector (y grows downwards)
+function compass(dx, dy) {
+  const step = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+  return DIRECTIONS[(step + 8) % 8];
+}
+
+// interior angle in degrees at every vertex; above 180 at reflex vertices
+function interiorAngles(poly) {
+  let area2 = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i], b = poly[(i + 1) % poly.length];
+    area2 += a.x * b.y - b.x * a.y;
+  }
+  const orientation = Math.sign(area2);
+  return poly.map((cur, i) => {
+    const prev = poly[(i - 1 + poly.length) % poly.length];
+    const next = poly[(i + 1) % poly.length];
+    const v1x = prev.x - cur.x, v1y = prev.y - cur.y;
+    const v2x = next.x - cur.x, v2y = next.y - cur.y;
+    const n = (Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y)) || 1;
+    const angle = (Math.acos(Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / n))) * 180) / Math.PI;
+    // turning against the outline's orientation: the corner points inwards
+    const turn = (cur.x - prev.x) * (next.y - cur.y) - (cur.y - prev.y) * (next.x - cur.x);
+    return turn * orientation < 0 ? 360 - angle : angle;
+  });
+}
+
+// drop vertices within minEdge of the previous kept one (the traced outline ends next to
+// where it starts, so simplification keeps both ends)
+function mergeClose(poly, minEdge) {
+  const res = [];
+  for (const p of poly) {
+    const last = res[res.length - 1];
+    if (!last || Math.hypot(p.x - last.x, p.y - last.y) >= minEdge) res.push(p);
+  }
+  while (res.length > 1 && Math.hypot(res[0].x - res[res.length - 1].x, res[0].y - res[res.length - 1].y) < minEdge) {
+    res.pop();
+  }
+  return res;
+}
+
+// drop near-straight vertices (staircase wobble on short rotated edges), flattest first
+function straighten(poly, tolerance) {
+  const res = poly.slice();
+  while (res.length > 3) {
+    const angles = interiorAngles(res);
+    let flat = -1;
+    angles.forEach((a, i) => {
+      if (Math.abs(a - 180) < tolerance && (flat < 0 || Math.abs(a - 180) < Math.abs(angles[flat] - 180))) flat = i;
+    });
+    if (flat < 0) break;
+    res.splice(flat, 1);
+  }
+  return res;
+}
+
+// number of vertices from index a forward to index b (exclusive) on a cycle of n
+function gap(a, b, n) {
+  return (b - a + n) % n;
+}
+
+// Classify a simplified concave polygon [{x, y}, ...]. Returns null when the pattern is
+// not recognized, otherwise { type, vertices } (the cleaned-up polygon) with type 'star'
+// (plus points: number of tips), 'arrow' or 'chevron' (plus direction: 'right',
+// 'up-left', ...), 'cross', 'l-shape' or 't-shape'.
+export function classifyConcave(outline, { rightTolerance = 20, tipAngle = 110, minEdge = 3, straight = 20 } = {}) {
+  const poly = straighten(mergeClose(outline, minEdge), straight);
+  const result = classifyPattern(poly, rightTolerance, tipAngle);
+  return result && { ...result, vertices: poly };
+}
+
+function classifyPattern(poly, rightTolerance, tipAngle) {
+  const n = poly.length;
+  if (n < 6) return null;
+  const angles = interiorAngles(poly);
+  const reflex = [];
+  angles.forEach((a, i) => { if (a > 180) reflex.push(i); });
+  const r = reflex.length;
+  if (!r) return null;
+  const isReflex = (i) => angles[(i + n) % n] > 180;
+
+  // stars: tips and notches alternate, the tips are sharp
+  if (n % 2 === 0 && r === n / 2 && n >= 6
+    && angles.every((a, i) => isReflex(i) !== isReflex(i + 1))
+    && angles.every(a => a > 180 || a < tipAngle)) {
+    return { type: 'star', points: r };
+  }
+
+  // rectilinear outlines: every corner a right angle, inwards or outwards
+  const rectilinear = angles.every(a => Math.abs(a - 90) <= rightTolerance || Math.abs(a - 270) <= rightTolerance);
+  if (rectilinear) {
+    if (n === 6 && r === 1) return { type: 'l-shape' };
+    // the stem's two outer corners lie between the notches on one side
+    if (n === 8 && r === 2 && [3, 5].includes(gap(reflex[0], reflex[1], n))) return { type: 't-shape' };
+    // four arms: two outer corners between consecutive notches
+    if (n === 12 && r === 4 && reflex.every((v, k) => gap(v, reflex[(k + 1) % r], n) === 3)) {
+      return { type: 'cross' };
+    }
+    return null;
+  }
+
+  // arrows: head (three tips, the middle one is the point) and a two-corner shaft end
+  // between the two notches where head and shaft meet
+  if (n === 7 && r === 2) {
+    const [a, b] = reflex;
+    const head = gap(a, b, n) === 4 ? a : gap(b, a, n) === 4 ? b : -1;
+    if (head < 0) return null;
+    const tip = poly[(head + 2) % n];
+    const tail = head === a ? b : a;
+    const s1 = poly[(tail + 1) % n], s2 = poly[(tail + 2) % n];
+    return { type: 'arrow', direction: compass(tip.x - (s1.x + s2.x) / 2, tip.y - (s1.y + s2.y) / 2) };
+  }
+
+  // chevrons: one notch facing the outer point across the outline
+  if (n === 6 && r === 1) {
+    const notch = poly[reflex[0]];
+    const tip = poly[(reflex[0] + 3) % n];
+    return { type: 'chevron', direction: compass(tip.x - notch.x, tip.y - notch.y) };
+  }
+  return null;
+}
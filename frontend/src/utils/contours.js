@@ -0,0 +1,211 @@
+// frontend/src/utils/contours.js
+// Contour extraction: ordered outer borders and holes on label images, and sub-pixel
+// iso-lines (marching squares) on grayscale fields.
+// Moore-neighbor border following (radial sweep, Jacob's stopping criterion): walks the
+// outer border of one component once, emitting boundary pixels in order (clockwise on
+// screen), so the cost is linear in the contour length.
+
+// 8 directions, clockwise on screen (y grows downward): E, SE, S, SW, W, NW, N, NE
+const DX = [1, 1, 0, -1, -1, -1, 0, 1];
+const DY = [0, 1, 1, 1, 0, -1, -1, -1];
+
+// labels: Int32Array component map, id: the component to trace.
+// (startX, startY) must be the component's first pixel in raster order, so its
+// west and northern neighbors are known to be outside.
+export function traceOuterContour(labels, id, width, height, startX, startY) {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === id;
+
+  const contour = [{ x: startX, y: startY }];
+  // pretend we arrived from the west: the sweep starts just clockwise of it (NW)
+  let x = startX, y = startY, dir = 0;
+  let firstDir = -1;
+  const maxSteps = 4 * width * height + 4;
+
+  for (let step = 0; step < maxSteps; step++) {
+    let found = -1;
+    for (let k = 0; k < 8; k++) {
+      const d = (dir + 5 + k) % 8;
+      if (inside(x + DX[d], y + DY[d])) { found = d; break; }
+    }
+    if (found === -1) break; // isolated pixel
+
+    if (x === startX && y === startY) {
+      // Jacob's criterion: leaving the start the same way as the first time closes the loop
+      if (firstDir === found) break;
+      if (firstDir === -1) firstDir = found;
+      else contour.push({ x, y }); // start is a pinch point, passed again mid-contour
+    }
+    x += DX[found];
+    y += DY[found];
+    dir = found;
+    if (x !== startX || y !== startY) contour.push({ x, y });
+  }
+  return contour;
+}
+
+// Holes of component `id`: connected regions of other pixels inside its bounding box
+// that cannot reach the box edge. Other pixels use the dual of the foreground
+// connectivity (8 for 4-connected components, 4 for 8-connected ones), so a gap only
+// counts as a way out where the component itself is not connected across it.
+// Returns [{ area, boundingBox, contour, inner }] for holes of at least minArea pixels,
+// where inner is the set of component ids found inside the hole (any depth).
+export function findHoles(labels, id, width, height, box, minArea = 1, connectivity = 4) {
+  const diagonal = connectivity !== 8;
+  const x0 = box.x - 1, y0 = box.y - 1;
+  const bw = box.width + 2, bh = box.height + 2;
+  // local map: -1 = the component, 0 = unvisited, 1 = outside, 2.. = hole ids
+  const local = new Int32Array(bw * bh);
+  const global = (lx, ly) => {
+    const gx = x0 + lx, gy = y0 + ly;
+    return gx < 0 || gy < 0 || gx >= width || gy >= height ? -1 : gy * width + gx;
+  };
+  for (let ly = 0; ly < bh; ly++) {
+    for (let lx = 0; lx < bw; lx++) {
+      const g = global(lx, ly);
+      if (g >= 0 && labels[g] === id) local[ly * bw + lx] = -1;
+    }
+  }
+
+  const stack = [];
+  const flood = (start, mark, visit) => {
+    local[start] = mark;
+    stack.push(start);
+    while (stack.length) {
+      const cur = stack.pop();
+      const cx = cur % bw, cy = (cur / bw) | 0;
+      visit(cx, cy);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx && dy && !diagonal) continue;
+          const nx = cx + dx, ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= bw || ny >= bh) continue;
+          const n = ny * bw + nx;
+          if (local[n] === 0) { local[n] = mark; stack.push(n); }
+        }
+      }
+    }
+  };
+
+  // the expanded box edge never belongs to the component: everything reached from it is outside
+  const noop = () => {};
+  for (let lx = 0; lx < bw; lx++) {
+    if (local[lx] === 0) flood(lx, 1, noop);
+    if (local[(bh - 1) * bw + lx] === 0) flood((bh - 1) * bw + lx, 1, noop);
+  }
+  for (let ly = 0; ly < bh; ly++) {
+    if (local[ly * bw] === 0) flood(ly * bw, 1, noop);
+    if (local[ly * bw + bw - 1] === 0) flood(ly * bw + bw - 1, 1, noop);
+  }
+
+  const holes = [];
+  let mark = 2;
+  for (let ly = 0; ly < bh; ly++) {
+    for (let lx = 0; lx < bw; lx++) {
+      if (local[ly * bw + lx] !== 0) continue;
+      const hole = { area: 0, minX: lx, minY: ly, maxX: lx, maxY: ly, inner: new Set() };
+      flood(ly * bw + lx, mark, (cx, cy) => {
+        hole.area++;
+        if (cx < hole.minX) hole.minX = cx;
+        if (cx > hole.maxX) hole.maxX = cx;
+        if (cy < hole.minY) hole.minY = cy;
+        if (cy > hole.maxY) hole.maxY = cy;
+        const l = labels[global(cx, cy)];
+        if (l !== 0 && l !== id) hole.inner.add(l);
+      });
+      if (hole.area >= minArea) {
+        // (lx, ly) is the hole's first pixel in raster order
+        const contour = traceOuterContour(local, mark, bw, bh, lx, ly)
+          .map(p => ({ x: p.x + x0, y: p.y + y0 }));
+        holes.push({
+          area: hole.area,
+          boundingBox: {
+            x: hole.minX + x0,
+            y: hole.minY + y0,
+            width: hole.maxX - hole.minX + 1,
+            height: hole.maxY - hole.minY + 1,
+          },
+          contour,
+          inner: hole.inner,
+        });
+      }
+      mark++;
+    }
+  }
+  return holes;
+}
+
+// Marching squares: closed iso-lines of a scalar field sampled at pixel centers, with
+// vertices interpolated linearly along cell edges (so they are sub-pixel). Samples above
+// level are inside. The field's outermost ring should be outside so every line closes.
+// Saddle cells join diagonal inside corners for connectivity 8 and separate them for 4.
+// Returns an array of loops, each an array of { x, y }.
+export function isoContours(field, width, height, level, connectivity = 4) {
+  // edge ids: 2 * (y * width + x) for the horizontal edge right of (x, y),
+  // + 1 for the vertical edge below it
+  const points = new Map();
+  const links = new Map();
+  const edgePoint = (id) => {
+    if (points.has(id)) return;
+    const base = id >> 1;
+    const x = base % width, y = (base / width) | 0;
+    const v1 = field[base];
+    const v2 = id & 1 ? field[base + width] : field[base + 1];
+    const t = v1 === v2 ? 0.5 : (level - v1) / (v2 - v1);
+    points.set(id, id & 1 ? { x, y: y + t } : { x: x + t, y });
+  };
+  const link = (e1, e2) => {
+    edgePoint(e1);
+    edgePoint(e2);
+    if (!links.has(e1)) links.set(e1, []);
+    if (!links.has(e2)) links.set(e2, []);
+    links.get(e1).push(e2);
+    links.get(e2).push(e1);
+  };
+
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = y * width + x;
+      const a = field[i] > level, b = field[i + 1] > level;
+      const c = field[i + width + 1] > level, d = field[i + width] > level;
+      const code = (a ? 8 : 0) | (b ? 4 : 0) | (c ? 2 : 0) | (d ? 1 : 0);
+      if (code === 0 || code === 15) continue;
+      const top = 2 * i, bottom = 2 * (i + width), left = 2 * i + 1, right = 2 * (i + 1) + 1;
+      switch (code) {
+        case 1: case 14: link(left, bottom); break;
+        case 2: case 13: link(bottom, right); break;
+        case 3: case 12: link(left, right); break;
+        case 4: case 11: link(top, right); break;
+        case 6: case 9: link(top, bottom); break;
+        case 7: case 8: link(left, top); break;
+        case 5: // b and d inside
+          if (connectivity === 8) { link(left, top); link(bottom, right); }
+          else { link(left, bottom); link(top, right); }
+          break;
+        case 10: // a and c inside
+          if (connectivity === 8) { link(top, right); link(left, bottom); }
+          else { link(left, top); link(bottom, right); }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  const loops = [];
+  const visited = new Set();
+  for (const start of links.keys()) {
+    if (visited.has(start)) continue;
+    const loop = [];
+    let prev = -1, cur = start;
+    while (!visited.has(cur)) {
+      visited.add(cur);
+      loop.push(points.get(cur));
+      const [n1, n2] = links.get(cur);
+      const next = n1 !== prev ? n1 : n2;
+      prev = cur;
+      cur = next;
+    }
+    if (loop.length >= 3) loops.push(loop);
+  }
+  return loops;
+}
@@ -0,0 +1,172 @@
+// frontend/src/utils/edges.js
+// Canny-style edge pipeline for outlined (unfilled) shapes:
+// Gaussian smoothing -> Sobel gradients -> non-maximum suppression -> hysteresis,
+// then closing + hole filling so each closed outline becomes a filled region mask.
+
+import { gaussianKernel } from './filters';
+import { otsuThreshold } from './thresholding';
+import { closing } from './morphology';
+
+// separable Gaussian blur of a grayscale buffer -> Float32Array
+function blurGray(gray, width, height, sigma) {
+  const r = Math.max(1, Math.ceil(sigma * 2));
+  const k = gaussianKernel(r, sigma);
+  const tmp = new Float32Array(gray.length);
+  const out = new Float32Array(gray.length);
+  for (let pass = 0; pass < 2; pass++) {
+    const src = pass === 0 ? gray : tmp;
+    const dst = pass === 0 ? tmp : out;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let s = 0, ws = 0;
+        for (let i = -r; i <= r; i++) {
+          const nx = pass === 0 ? x + i : x;
+          const ny = pass === 0 ? y : y + i;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          s += k[i + r] * src[ny * width + nx];
+          ws += k[i + r];
+        }
+        dst[y * width + x] = s / ws;
+      }
+    }
+  }
+  return out;
+}
+
+// Sobel gradient magnitude + direction quantized to 0 (E-W), 1 (NE-SW), 2 (N-S), 3 (NW-SE)
+export function sobel(src, width, height) {
+  const mag = new Float32Array(width * height);
+  const dir = new Uint8Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = src[i - width - 1], t = src[i - width], tr = src[i - width + 1];
+      const l = src[i - 1], r = src[i + 1];
+      const bl = src[i + width - 1], b = src[i + width], br = src[i + width + 1];
+      const gx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      const gy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+      mag[i] = Math.hypot(gx, gy);
+      // angle in [0, 180) -> 4 sectors of 45 deg centered on 0/45/90/135
+      let a = (Math.atan2(gy, gx) * 180) / Math.PI;
+      if (a < 0) a += 180;
+      dir[i] = a < 22.5 || a >= 157.5 ? 0 : a < 67.5 ? 1 : a < 112.5 ? 2 : 3;
+    }
+  }
+  return { mag, dir };
+}
+
+// keep only pixels that are a local maximum across the edge (thin 1-px ridges)
+export function nonMaxSuppression(mag, dir, width, height) {
+  const out = new Float32Array(mag.length);
+  // neighbor offsets along the gradient for each direction sector
+  const off = [1, width + 1, width, width - 1];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const m = mag[i];
+      if (m === 0) continue;
+      const o = off[dir[i]];
+      if (m >= mag[i - o] && m > mag[i + o]) out[i] = m;
+    }
+  }
+  return out;
+}
+
+// strong pixels (>= high) seed edges; weak pixels (>= low) survive if 8-connected to one
+export function hysteresis(nms, width, height, low, high) {
+  const edges = new Uint8Array(nms.length);
+  const stack = [];
+  for (let i = 0; i < nms.length; i++) {
+    if (nms[i] >= high && !edges[i]) {
+      edges[i] = 1;
+      stack.push(i);
+      while (stack.length) {
+        const cur = stack.pop();
+        const cx = cur % width, cy = (cur / width) | 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = cx + dx, ny = cy + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const n = ny * width + nx;
+            if (!edges[n] && nms[n] >= low) {
+              edges[n] = 1;
+              stack.push(n);
+            }
+          }
+        }
+      }
+    }
+  }
+  return edges;
+}
+
+// Full Canny. high = 0 picks it with Otsu on the gradient magnitude histogram
+// (flat areas vs. anything edge-like); low = 0 uses high / 2.
+export function canny(gray, width, height, opts = {}) {
+  const { sigma = 1.2 } = opts;
+  let { low = 0, high = 0 } = opts;
+  const smooth = blurGray(gray, width, height, sigma);
+  const { mag, dir } = sobel(smooth, width, height);
+  const nms = nonMaxSuppression(mag, dir, width, height);
+
+  if (!(high > 0)) {
+    let maxMag = 0;
+    for (let i = 0; i < mag.length; i++) if (mag[i] > maxMag) maxMag = mag[i];
+    const hist = new Array(256).fill(0);
+    if (maxMag > 0) {
+      for (let i = 0; i < mag.length; i++) hist[Math.min(255, ((mag[i] / maxMag) * 255) | 0)]++;
+    }
+    high = maxMag > 0 ? ((otsuThreshold(hist) + 1) / 255) * maxMag : 1;
+  }
+  if (!(low > 0)) low = high / 2;
+
+  return { edges: hysteresis(nms, width, height, low, high), low, high };
+}
+
+// pixels not reachable from the image border through non-edge pixels (4-connected)
+function enclosedRegions(edges, width, height) {
+  const outside = new Uint8Array(edges.length);
+  const stack = [];
+  const seed = (i) => {
+    if (!edges[i] && !outside[i]) { outside[i] = 1; stack.push(i); }
+  };
+  for (let x = 0; x < width; x++) { seed(x); seed((height - 1) * width + x); }
+  for (let y = 0; y < height; y++) { seed(y * width); seed(y * width + width - 1); }
+  while (stack.length) {
+    const cur = stack.pop();
+    const cx = cur % width, cy = (cur / width) | 0;
+    if (cx > 0) seed(cur - 1);
+    if (cx < width - 1) seed(cur + 1);
+    if (cy > 0) seed(cur - width);
+    if (cy < height - 1) seed(cur + width);
+  }
+  const inside = new Uint8Array(edges.length);
+  for (let i = 0; i < edges.length; i++) inside[i] = !edges[i] && !outside[i] ? 1 : 0;
+  return inside;
+}
+
+// Edge map -> filled region mask. Edges are closed with a closeKernel x closeKernel
+// element to bridge small breaks, interiors are flood-filled, and only edge pixels
+// bordering an interior are kept, so open strokes and stray edges drop out.
+export function edgeRegionMask(edges, width, height, closeKernel = 3) {
+  const closed = closeKernel > 1 ? closing(edges, width, height, closeKernel, 'square') : edges;
+  const inside = enclosedRegions(closed, width, height);
+  const r = Math.max(1, closeKernel >> 1) + 1;
+  const nearInterior = (x, y) => {
+    for (let ny = Math.max(0, y - r); ny <= Math.min(height - 1, y + r); ny++) {
+      for (let nx = Math.max(0, x - r); nx <= Math.min(width - 1, x + r); nx++) {
+        if (inside[ny * width + nx]) return true;
+      }
+    }
+    return false;
+  };
+
+  const mask = new Uint8Array(edges.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (inside[i] || (closed[i] && nearInterior(x, y))) mask[i] = 1;
+    }
+  }
+  return mask;
+}
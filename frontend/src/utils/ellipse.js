@@ -0,0 +1,144 @@
+// frontend/src/utils/ellipse.js
+// Direct least-squares ellipse fitting (Fitzgibbon, Pilu & Fisher), in the numerically
+// stable form of Halir & Flusser: the conic a x^2 + b xy + c y^2 + d x + e y + f = 0
+// minimizing the algebraic error subject to 4ac - b^2 = 1, which is always an ellipse.
+// Points are centered and scaled first so the scatter matrices stay well conditioned.
+
+// inverse of a symmetric 3x3 matrix (rows as arrays); null if singular
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
+}
+
+function mul3(p, q) {
+  return p.map(row => [0, 1, 2].map(j => row[0] * q[0][j] + row[1] * q[1][j] + row[2] * q[2][j]));
+}
+
+// real roots of x^3 + p2 x^2 + p1 x + p0
+function cubicRoots(p2, p1, p0) {
+  const q = (3 * p1 - p2 * p2) / 9;
+  const r = (9 * p2 * p1 - 27 * p0 - 2 * p2 * p2 * p2) / 54;
+  const disc = q * q * q + r * r;
+  const shift = -p2 / 3;
+  if (disc > 0) {
+    const s = Math.cbrt(r + Math.sqrt(disc)), t = Math.cbrt(r - Math.sqrt(disc));
+    return [shift + s + t];
+  }
+  const rho = Math.sqrt(-q * q * q);
+  const phi = Math.acos(Math.max(-1, Math.min(1, rho > 0 ? r / rho : 0)));
+  const m = 2 * Math.cbrt(rho);
+  return [0, 1, 2].map(k => shift + m * Math.cos((phi + 2 * Math.PI * k) / 3));
+}
+
+// eigenvector of a 3x3 matrix for eigenvalue lambda: cross product of two rows of M - lambda I
+function eigenvector(m, lambda) {
+  const r = m.map((row, i) => row.map((v, j) => (i === j ? v - lambda : v)));
+  const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  let best = null, bestNorm = 0;
+  for (const [i, j] of [[0, 1], [0, 2], [1, 2]]) {
+    const v = cross(r[i], r[j]);
+    const n = Math.hypot(v[0], v[1], v[2]);
+    if (n > bestNorm) { best = v; bestNorm = n; }
+  }
+  return best && bestNorm > 1e-15 ? best.map(v => v / bestNorm) : null;
+}
+
+// Fit an ellipse to points [{x, y}, ...] (at least 5, not all colinear).
+// Returns { center, semiMajor, semiMinor, angle, residual } or null; angle is the major
+// axis direction in degrees [0, 180), clockwise on screen from the +x axis; residual is
+// the RMS distance of the points from the ellipse (first-order approximation), in pixels.
+export function fitEllipse(points) {
+  const n = points.length;
+  if (n < 5) return null;
+  let mx = 0, my = 0;
+  for (const p of points) { mx += p.x; my += p.y; }
+  mx /= n;
+  my /= n;
+  let spread = 0;
+  for (const p of points) spread += (p.x - mx) ** 2 + (p.y - my) ** 2;
+  const scale = Math.sqrt(spread / n);
+  if (!(scale > 0)) return null;
+
+  // scatter matrices of D1 = [x^2, xy, y^2] and D2 = [x, y, 1]
+  const S1 = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const S2 = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const S3 = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const p of points) {
+    const x = (p.x - mx) / scale, y = (p.y - my) / scale;
+    const d1 = [x * x, x * y, y * y], d2 = [x, y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        S1[i][j] += d1[i] * d1[j];
+        S2[i][j] += d1[i] * d2[j];
+        S3[i][j] += d2[i] * d2[j];
+      }
+    }
+  }
+  const S3inv = invert3(S3);
+  if (!S3inv) return null;
+  const S2t = [0, 1, 2].map(i => [S2[0][i], S2[1][i], S2[2][i]]);
+  const T = mul3(S3inv, S2t).map(row => row.map(v => -v));
+  const M0 = mul3(S2, T).map((row, i) => row.map((v, j) => v + S1[i][j]));
+  // premultiply by the inverse of the constraint matrix C1 = [[0,0,2],[0,-1,0],[2,0,0]]
+  const M = [M0[2].map(v => v / 2), M0[1].map(v => -v), M0[0].map(v => v / 2)];
+
+  const tr = M[0][0] + M[1][1] + M[2][2];
+  const minors = M[0][0] * M[1][1] - M[0][1] * M[1][0]
+    + M[0][0] * M[2][2] - M[0][2] * M[2][0]
+    + M[1][1] * M[2][2] - M[1][2] * M[2][1];
+  const det = M[0][0] * (M[1][1] * M[2][2] - M[1][2] * M[2][1])
+    - M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0])
+    + M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0]);
+
+  let a1 = null;
+  for (const lambda of cubicRoots(-tr, minors, -det)) {
+    const v = eigenvector(M, lambda);
+    if (v && 4 * v[0] * v[2] - v[1] * v[1] > 0) { a1 = v; break; }
+  }
+  if (!a1) return null;
+  const a2 = T.map(row => row[0] * a1[0] + row[1] * a1[1] + row[2] * a1[2]);
+  const [A, B, C] = a1;
+  const [D, E, F] = a2;
+
+  // geometric parameters (normalized coordinates)
+  const den = B * B - 4 * A * C;
+  if (den >= 0) return null;
+  const cx = (2 * C * D - B * E) / den;
+  const cy = (2 * A * E - B * D) / den;
+  const Fc = A * cx * cx + B * cx * cy + C * cy * cy + D * cx + E * cy + F;
+  const mean = (A + C) / 2;
+  const dev = Math.hypot((A - C) / 2, B / 2);
+  const lSmall = mean - dev, lLarge = mean + dev;
+  if (lSmall * Fc >= 0 || lLarge * Fc >= 0) return null;
+  const major = Math.sqrt(-Fc / lSmall), minor = Math.sqrt(-Fc / lLarge);
+  // principal direction from tan 2t = B / (A - C); the major axis has the smaller eigenvalue
+  let t = 0.5 * Math.atan2(B, A - C);
+  const lt = A * Math.cos(t) ** 2 + B * Math.sin(t) * Math.cos(t) + C * Math.sin(t) ** 2;
+  if (Math.abs(lt - lSmall) > Math.abs(lt - lLarge)) t += Math.PI / 2;
+  let angle = (t * 180) / Math.PI;
+  angle = ((angle % 180) + 180) % 180;
+
+  let sq = 0;
+  for (const p of points) {
+    const x = (p.x - mx) / scale, y = (p.y - my) / scale;
+    const f = A * x * x + B * x * y + C * y * y + D * x + E * y + F;
+    const gx = 2 * A * x + B * y + D, gy = B * x + 2 * C * y + E;
+    const g = Math.hypot(gx, gy);
+    if (g > 0) sq += (f / g) ** 2;
+  }
+
+  return {
+    center: { x: mx + cx * scale, y: my + cy * scale },
+    semiMajor: major * scale,
+    semiMinor: minor * scale,
+    angle,
+    residual: Math.sqrt(sq / n) * scale,
+  };
+}
@@ -0,0 +1,91 @@
+// frontend/src/utils/exif.js
+// Minimal JPEG metadata reader: EXIF orientation tag (0x0112) and the stored frame size
+// from the SOF header, plus the canvas transform that displays the image upright.
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// orientation from a TIFF block (EXIF payload after "Exif\0\0") of length bytes inside
+// the view; 1 when absent
+function readTiffOrientation(view, start, length) {
+  if (length < 8) return 1;
+  const order = view.getUint16(start);
+  if (order !== 0x4949 && order !== 0x4d4d) return 1;
+  const little = order === 0x4949;
+  if (view.getUint16(start + 2, little) !== 0x002a) return 1;
+  const ifd = start + view.getUint32(start + 4, little);
+  if (ifd + 2 > start + length) return 1;
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const e = ifd + 2 + i * 12;
+    if (e + 12 > start + length) break;
+    if (view.getUint16(e, little) === 0x0112) {
+      const v = view.getUint16(e + 8, little);
+      return v >= 1 && v <= 8 ? v : 1;
+    }
+  }
+  return 1;
+}
+
+// Returns { orientation, width, height } for a JPEG ArrayBuffer (width/height as stored,
+// before orientation), or null if the buffer is not a JPEG. Reading stops at the first
+// segment running past the end of the buffer, keeping what was read before it.
+export function readJpegMeta(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+
+  let orientation = 1, width = 0, height = 0;
+  let off = 2;
+  while (off + 4 <= view.byteLength) {
+    if (view.getUint8(off) !== 0xff) break;
+    const marker = view.getUint8(off + 1);
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      off += 2; // standalone markers carry no length
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+    const len = view.getUint16(off + 2);
+    const seg = off + 4;
+    if (len < 2 || off + 2 + len > view.byteLength) break; // truncated segment
+    if (marker === 0xe1 && len >= 8 && view.getUint32(seg) === 0x45786966 /* "Exif" */) {
+      orientation = readTiffOrientation(view, seg + 6, len - 8);
+    } else if (SOF_MARKERS.has(marker) && len >= 7) {
+      height = view.getUint16(seg + 1);
+      width = view.getUint16(seg + 3);
+    }
+    off += 2 + len;
+  }
+  return { orientation, width, height };
+}
+
+const ORIENTATION_NAMES = {
+  1: 'none',
+  2: 'flip-horizontal',
+  3: 'rotate-180',
+  4: 'flip-vertical',
+  5: 'transpose',
+  6: 'rotate-90',
+  7: 'transverse',
+  8: 'rotate-270',
+};
+
+// Canvas transform for an EXIF orientation; width/height are the stored image size.
+// Returns the upright canvas size and the matrix [a, b, c, d, e, f] for ctx.setTransform.
+export function orientationTransform(orientation, width, height) {
+  const swap = orientation >= 5;
+  const matrices = {
+    1: [1, 0, 0, 1, 0, 0],
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width],
+  };
+  return {
+    name: ORIENTATION_NAMES[orientation] || 'none',
+    width: swap ? height : width,
+    height: swap ? width : height,
+    matrix: matrices[orientation] || matrices[1],
+  };
+}
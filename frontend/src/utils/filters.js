@@ -0,0 +1,144 @@
+// frontend/src/utils/filters.js
+// Denoising prefilters on RGBA pixel buffers, run before binarization:
+// median (Huang sliding histogram), separable Gaussian, and edge-preserving bilateral.
+// All take and return a Uint8ClampedArray of width*height*4; alpha is copied through.
+
+// --- median ---
+// Per channel, per row: slide a (2r+1)^2 window along x, keeping a 256-bin histogram
+// and the running median, so each step costs O(r) instead of a sort.
+export function medianFilter(data, width, height, radius = 1) {
+  const out = new Uint8ClampedArray(data);
+  const r = Math.max(1, radius | 0);
+  const hist = new Int32Array(256);
+
+  for (let c = 0; c < 3; c++) {
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - r), y1 = Math.min(height - 1, y + r);
+      const rows = y1 - y0 + 1;
+      hist.fill(0);
+      let n = 0;
+      let med = 0, below = 0; // below = number of window values < med
+      for (let x = 0; x <= Math.min(width - 1, r); x++) {
+        for (let yy = y0; yy <= y1; yy++) hist[data[(yy * width + x) * 4 + c]]++;
+        n += rows;
+      }
+
+      for (let x = 0; x < width; x++) {
+        if (x + r < width && x > 0) {
+          for (let yy = y0; yy <= y1; yy++) {
+            const v = data[(yy * width + x + r) * 4 + c];
+            hist[v]++;
+            if (v < med) below++;
+          }
+          n += rows;
+        }
+        if (x - r - 1 >= 0) {
+          for (let yy = y0; yy <= y1; yy++) {
+            const v = data[(yy * width + x - r - 1) * 4 + c];
+            hist[v]--;
+            if (v < med) below--;
+          }
+          n -= rows;
+        }
+        const k = n >> 1;
+        while (below > k) { med--; below -= hist[med]; }
+        while (below + hist[med] <= k) { below += hist[med]; med++; }
+        out[(y * width + x) * 4 + c] = med;
+      }
+    }
+  }
+  return out;
+}
+
+// --- Gaussian (separable) ---
+export function gaussianKernel(radius, sigma = Math.max(0.5, radius / 2)) {
+  const k = new Float64Array(2 * radius + 1);
+  for (let i = -radius; i <= radius; i++) k[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+  return k;
+}
+
+// 1-D pass along x (step 1) or y (step width); weights are renormalized at the image edge
+function convolve1D(src, width, height, kernel, horizontal) {
+  const out = new Float32Array(src.length);
+  const r = (kernel.length - 1) >> 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let s0 = 0, s1 = 0, s2 = 0, wsum = 0;
+      for (let i = -r; i <= r; i++) {
+        const nx = horizontal ? x + i : x;
+        const ny = horizontal ? y : y + i;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const w = kernel[i + r];
+        const p = (ny * width + nx) * 4;
+        s0 += w * src[p];
+        s1 += w * src[p + 1];
+        s2 += w * src[p + 2];
+        wsum += w;
+      }
+      out[o] = s0 / wsum;
+      out[o + 1] = s1 / wsum;
+      out[o + 2] = s2 / wsum;
+      out[o + 3] = src[o + 3];
+    }
+  }
+  return out;
+}
+
+export function gaussianFilter(data, width, height, radius = 2) {
+  const r = Math.max(1, radius | 0);
+  const kernel = gaussianKernel(r);
+  const rows = convolve1D(data, width, height, kernel, true);
+  return new Uint8ClampedArray(convolve1D(rows, width, height, kernel, false));
+}
+
+// --- bilateral ---
+// Weights = spatial Gaussian * range Gaussian on the RGB distance to the center pixel,
+// so a whole edge is kept or smoothed consistently across channels.
+export function bilateralFilter(data, width, height, radius = 2, sigmaColor = 25) {
+  const r = Math.max(1, radius | 0);
+  const sigmaSpace = Math.max(0.5, r / 2);
+  const spatial = [];
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      spatial.push({ dx, dy, w: Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpace * sigmaSpace)) });
+    }
+  }
+  // range weight lookup by squared RGB distance
+  const rangeLut = new Float32Array(3 * 255 * 255 + 1);
+  for (let d2 = 0; d2 < rangeLut.length; d2++) rangeLut[d2] = Math.exp(-d2 / (2 * sigmaColor * sigmaColor));
+
+  const out = new Uint8ClampedArray(data);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const r0 = data[o], g0 = data[o + 1], b0 = data[o + 2];
+      let s0 = 0, s1 = 0, s2 = 0, wsum = 0;
+      for (let k = 0; k < spatial.length; k++) {
+        const nx = x + spatial[k].dx, ny = y + spatial[k].dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const p = (ny * width + nx) * 4;
+        const dr = data[p] - r0, dg = data[p + 1] - g0, db = data[p + 2] - b0;
+        const w = spatial[k].w * rangeLut[dr * dr + dg * dg + db * db];
+        s0 += w * data[p];
+        s1 += w * data[p + 1];
+        s2 += w * data[p + 2];
+        wsum += w;
+      }
+      out[o] = s0 / wsum;
+      out[o + 1] = s1 / wsum;
+      out[o + 2] = s2 / wsum;
+    }
+  }
+  return out;
+}
+
+// type: 'none' | 'median' | 'gaussian' | 'bilateral'
+export function applyPrefilter(data, width, height, type, radius, sigmaColor) {
+  switch (type) {
+    case 'median': return medianFilter(data, width, height, radius);
+    case 'gaussian': return gaussianFilter(data, width, height, radius);
+    case 'bilateral': return bilateralFilter(data, width, height, radius, sigmaColor);
+    default: return data;
+  }
+}
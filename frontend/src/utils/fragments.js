@@ -0,0 +1,248 @@
+// frontend/src/utils/fragments.js
+// Proximity merging of fragmented components (dashed outlines, anti-aliasing gaps)
+// before minArea filtering and classification. Two components of the same label are
+// neighbors when their borders come within `gap` pixels. Chains of neighbors (the dashes
+// of an outline), or failing that pairs in close contact (the near part a sizable share
+// of the smaller border), are merged only when their bridged union is a closed shape:
+// bridging the gaps encloses a hole the fragments did not already have, or seals a crack
+// through one convex shape (the bridge thin next to the fragments, as in a disk split by
+// a scratch). Two separate shapes side by side, or two nearby rings, stay apart.
+
+import { closing } from './morphology';
+import { findHoles } from './contours';
+import { labelComponents } from './labeling';
+
+function find(parent, a) {
+  while (parent[a] !== a) {
+    parent[a] = parent[parent[a]];
+    a = parent[a];
+  }
+  return a;
+}
+
+function union(parent, a, b) {
+  const ra = find(parent, a), rb = find(parent, b);
+  if (ra < rb) parent[rb] = ra;
+  else if (rb < ra) parent[ra] = rb;
+}
+
+// For every pair of components within `gap`, how many border pixels of each side lie
+// near the other. Returns Map "a,b" (a < b) -> { a, b, nearA, nearB }, plus border sizes.
+function nearPairs(labels, components, width, height, gap) {
+  const borderSize = new Map();
+  const pairs = new Map();
+  const seen = [];
+  for (const c of components) {
+    const bb = c.boundingBox;
+    let border = 0;
+    for (let y = bb.y; y < bb.y + bb.height; y++) {
+      for (let x = bb.x; x < bb.x + bb.width; x++) {
+        const i = y * width + x;
+        if (labels[i] !== c.id) continue;
+        const inner = x > 0 && x < width - 1 && y > 0 && y < height - 1
+          && labels[i - 1] === c.id && labels[i + 1] === c.id
+          && labels[i - width] === c.id && labels[i + width] === c.id;
+        if (inner) continue;
+        border++;
+        // other components within gap + 1 (Chebyshev), i.e. at most `gap` background
+        // pixels away from this border pixel; each counted once
+        seen.length = 0;
+        for (let dy = -gap - 1; dy <= gap + 1; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -gap - 1; dx <= gap + 1; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const o = labels[ny * width + nx];
+            if (o && o !== c.id && !seen.includes(o)) seen.push(o);
+          }
+        }
+        for (const o of seen) {
+          const other = components[o - 1];
+          if (!other || other.label !== c.label) continue;
+          const key = c.id < o ? `${c.id},${o}` : `${o},${c.id}`;
+          if (!pairs.has(key)) pairs.set(key, { a: Math.min(c.id, o), b: Math.max(c.id, o), nearA: 0, nearB: 0 });
+          const pair = pairs.get(key);
+          if (pair.a === c.id) pair.nearA++;
+          else pair.nearB++;
+        }
+      }
+    }
+    borderSize.set(c.id, border);
+  }
+  return { pairs, borderSize };
+}
+
+// mask of the given component ids inside box
+function groupMask(labels, width, ids, box) {
+  const local = new Uint8Array(box.width * box.height);
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      if (ids.has(labels[(box.y + y) * width + box.x + x])) local[y * box.width + x] = 1;
+    }
+  }
+  return local;
+}
+
+// the same mask bridged by a closing that spans the gap
+function bridge(mask, box, gap) {
+  return closing(mask, box.width, box.height, 2 * Math.ceil(gap / 2) + 1, 'square');
+}
+
+// holes of a group mask; diagonal contacts seal (dashes often meet corner to corner)
+function countHoles(mask, box, minArea) {
+  const whole = { x: 0, y: 0, width: box.width, height: box.height };
+  return findHoles(Int32Array.from(mask), 1, box.width, box.height, whole, minArea, 8).length;
+}
+
+// Area of the convex hull of a mask's pixel squares (monotone chain over the row ends)
+function hullArea(mask, box) {
+  const points = [];
+  for (let y = 0; y < box.height; y++) {
+    let x0 = -1, x1 = -1;
+    for (let x = 0; x < box.width; x++) {
+      if (!mask[y * box.width + x]) continue;
+      if (x0 < 0) x0 = x;
+      x1 = x;
+    }
+    if (x0 >= 0) points.push([x0, y], [x1 + 1, y], [x0, y + 1], [x1 + 1, y + 1]);
+  }
+  points.sort((p, q) => p[1] - q[1] || p[0] - q[0]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const chain = (pts) => {
+    const out = [];
+    for (const p of pts) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  const hull = [...chain(points), ...chain(points.slice().reverse())];
+  let a = 0;
+  for (let i = 0; i < hull.length; i++) {
+    const p = hull[i], q = hull[(i + 1) % hull.length];
+    a += p[0] * q[1] - q[0] * p[1];
+  }
+  return Math.abs(a) / 2;
+}
+
+function countPixels(mask) {
+  let n = 0;
+  for (let i = 0; i < mask.length; i++) n += mask[i];
+  return n;
+}
+
+function groupBox(members, width, height, gap) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const c of members) {
+    const bb = c.boundingBox;
+    x0 = Math.min(x0, bb.x);
+    y0 = Math.min(y0, bb.y);
+    x1 = Math.max(x1, bb.x + bb.width);
+    y1 = Math.max(y1, bb.y + bb.height);
+  }
+  x0 = Math.max(0, x0 - gap);
+  y0 = Math.max(0, y0 - gap);
+  x1 = Math.min(width, x1 + gap);
+  y1 = Math.min(height, y1 + gap);
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+// Merge fragments within `gap` pixels. labels (component ids) are rewritten in place:
+// a merged group takes the id of its first member and also claims the background pixels
+// that bridge its gaps. Returns the component list without the absorbed members; merged
+// components carry merged: <number of fragments>.
+export function mergeFragments(labels, components, width, height, {
+  gap = 4, minArea = 1, contact = 0.3, solidity = 0.95, crack = 0.125,
+} = {}) {
+  if (gap <= 0 || components.length < 2) return components;
+  const { pairs, borderSize } = nearPairs(labels, components, width, height, gap);
+  if (!pairs.size) return components;
+
+  const n = components.length + 1;
+  const strong = Array.from({ length: n }, (_, i) => i);
+  const loose = Array.from({ length: n }, (_, i) => i);
+  for (const { a, b, nearA, nearB } of pairs.values()) {
+    const smaller = Math.min(borderSize.get(a), borderSize.get(b));
+    if (Math.max(nearA, nearB) >= contact * smaller) union(strong, a, b);
+    union(loose, a, b);
+  }
+
+  const groupsOf = (parent) => {
+    const groups = new Map();
+    for (const c of components) {
+      const r = find(parent, c.id);
+      if (!groups.has(r)) groups.set(r, []);
+      groups.get(r).push(c);
+    }
+    return [...groups.values()].filter(g => g.length > 1);
+  };
+
+  // a group is kept only when bridging encloses a hole the fragments did not already have,
+  // or when the bridged union is one convex piece (area >= solidity of its hull) and the
+  // bridge adds at most `crack` of the smallest fragment's area
+  const closedShape = (group) => {
+    const box = groupBox(group, width, height, gap);
+    const ids = new Set(group.map(c => c.id));
+    const mask = groupMask(labels, width, ids, box);
+    const bridged = bridge(mask, box, gap);
+    const closed = countHoles(bridged, box, minArea) > countHoles(mask, box, minArea);
+    const area = countPixels(bridged);
+    const sealed = !closed
+      && area - countPixels(mask) <= crack * Math.min(...group.map(c => c.area))
+      && area >= solidity * hullArea(bridged, box)
+      && labelComponents(bridged, box.width, box.height).components.length === 1;
+    return closed || sealed ? { group, box, ids, bridged } : null;
+  };
+  const accepted = [];
+  const inLooseGroup = new Set();
+  for (const group of groupsOf(loose)) {
+    const closed = closedShape(group);
+    if (!closed) continue;
+    accepted.push(closed);
+    group.forEach(c => inLooseGroup.add(c.id));
+  }
+  for (const group of groupsOf(strong)) {
+    if (group.some(c => inLooseGroup.has(c.id))) continue;
+    const closed = closedShape(group);
+    if (closed) accepted.push(closed);
+  }
+  if (!accepted.length) return components;
+
+  const absorbed = new Set();
+  const replaced = new Map();
+  for (const { group, box, ids, bridged } of accepted) {
+    const keep = group[0];
+    const m = {
+      id: keep.id, label: keep.label, area: 0, sumX: 0, sumY: 0, startX: -1, startY: -1,
+      minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity,
+    };
+    for (let y = 0; y < box.height; y++) {
+      for (let x = 0; x < box.width; x++) {
+        const gx = box.x + x, gy = box.y + y;
+        const i = gy * width + gx;
+        if (!ids.has(labels[i]) && !(bridged[y * box.width + x] && labels[i] === 0)) continue;
+        labels[i] = m.id;
+        if (m.startX < 0) { m.startX = gx; m.startY = gy; }
+        m.area++;
+        m.sumX += gx;
+        m.sumY += gy;
+        if (gx < m.minX) m.minX = gx;
+        if (gx > m.maxX) m.maxX = gx;
+        if (gy < m.minY) m.minY = gy;
+        if (gy > m.maxY) m.maxY = gy;
+      }
+    }
+    const { minX, minY, maxX, maxY, ...rest } = m;
+    replaced.set(keep.id, {
+      ...rest,
+      merged: group.length,
+      boundingBox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    });
+    group.slice(1).forEach(c => absorbed.add(c.id));
+  }
+  return components
+    .filter(c => !absorbed.has(c.id))
+    .map(c => replaced.get(c.id) || c);
+}
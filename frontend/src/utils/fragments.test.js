@@ -0,0 +1,63 @@
+import ShapeDetector from './ShapeDetector';
+
+// white RGBA image with black axis-aligned rectangles [x, y, width, height]
+function image(width, height, rects) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (const [rx, ry, rw, rh] of rects) {
+    for (let y = ry; y < ry + rh; y++) {
+      for (let x = rx; x < rx + rw; x++) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+// black disk of radius r around (cx, cy) split by a vertical white crack `crack` px wide
+function crackedDisk(width, height, cx, cy, r, crack) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inCrack = x >= cx - (crack >> 1) && x < cx - (crack >> 1) + crack;
+      if (!inCrack && (x - cx) ** 2 + (y - cy) ** 2 <= r * r) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+// dashes 12 px long and 3 px thick, 4 px apart, around a 220x140 rectangle at (20, 20)
+function dashedOutline() {
+  const rects = [];
+  for (let x = 20; x < 240; x += 16) rects.push([x, 20, Math.min(12, 243 - x), 3], [x, 160, Math.min(12, 243 - x), 3]);
+  for (let y = 20; y < 163; y += 16) rects.push([20, y, 3, Math.min(12, 163 - y)], [240, y, 3, Math.min(12, 163 - y)]);
+  return image(280, 200, rects);
+}
+
+describe('fragment merging', () => {
+  it('keeps two nearby shapes as two shapes', async () => {
+    const detector = new ShapeDetector({ mergeGap: 4 });
+    const bars = await detector.detectShapes(image(160, 100, [[20, 20, 100, 20], [20, 44, 100, 20]]));
+    expect(bars.shapes).toHaveLength(2);
+    expect(bars.shapes.every(s => !s.merged)).toBe(true);
+
+    const squares = await detector.detectShapes(image(160, 120, [[20, 20, 60, 60], [83, 40, 20, 20]]));
+    expect(squares.shapes).toHaveLength(2);
+    expect(squares.shapes.every(s => !s.merged)).toBe(true);
+  });
+
+  it('merges the dashes of an outline into one shape', async () => {
+    const result = await new ShapeDetector({ mergeGap: 4 }).detectShapes(dashedOutline());
+    expect(result.shapes).toHaveLength(1);
+    expect(result.shapes[0].merged).toBeGreaterThan(1);
+  });
+
+  it('merges the halves of a disk split by a crack into one circle', async () => {
+    const result = await new ShapeDetector().detectShapes(crackedDisk(240, 240, 120, 120, 80, 3));
+    expect(result.shapes).toHaveLength(1);
+    expect(result.shapes[0].type).toBe('circle');
+    expect(result.shapes[0].merged).toBe(2);
+  });
+
+  it('leaves fragments further apart than the default gap alone', async () => {
+    const result = await new ShapeDetector().detectShapes(dashedOutline());
+    expect(result.shapes.every(s => !s.merged)).toBe(true);
+  });
+});
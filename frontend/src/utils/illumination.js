@@ -0,0 +1,188 @@
+// frontend/src/utils/illumination.js
+// Shading / illumination correction: estimate a smooth illumination field and divide
+// it out of the RGB image before thresholding, so a lamp gradient on paper does not
+// push half of the page into the foreground.
+// Estimators work on a downsampled luminance grid (~128 cells on the long side):
+//  'blur'       - large median (ignores shapes smaller than half the window) + Gaussian smoothing
+//  'polynomial' - low-order surface fitted by robust least squares (shapes get no weight)
+
+import { medianFilter, gaussianFilter } from './filters';
+
+// block-mean downsample of a grayscale buffer
+function downsample(gray, width, height, block) {
+  const sw = Math.ceil(width / block), sh = Math.ceil(height / block);
+  const grid = new Float32Array(sw * sh);
+  const counts = new Uint32Array(sw * sh);
+  for (let y = 0; y < height; y++) {
+    const gy = (y / block) | 0;
+    for (let x = 0; x < width; x++) {
+      const g = gy * sw + ((x / block) | 0);
+      grid[g] += gray[y * width + x];
+      counts[g]++;
+    }
+  }
+  for (let i = 0; i < grid.length; i++) grid[i] /= counts[i];
+  return { grid, sw, sh };
+}
+
+// bilinear upsample of a cell grid (cell centers at (i + 0.5) * block) to full resolution
+function upsample(grid, sw, sh, width, height, block) {
+  const field = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(sh - 1, Math.max(0, (y + 0.5) / block - 0.5));
+    const y0 = Math.floor(gy), y1 = Math.min(sh - 1, y0 + 1), fy = gy - y0;
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(sw - 1, Math.max(0, (x + 0.5) / block - 0.5));
+      const x0 = Math.floor(gx), x1 = Math.min(sw - 1, x0 + 1), fx = gx - x0;
+      const top = grid[y0 * sw + x0] * (1 - fx) + grid[y0 * sw + x1] * fx;
+      const bottom = grid[y1 * sw + x0] * (1 - fx) + grid[y1 * sw + x1] * fx;
+      field[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return field;
+}
+
+// grayscale grid <-> RGBA so the RGBA prefilters can run on it
+function gridToRgba(grid) {
+  const rgba = new Uint8ClampedArray(grid.length * 4);
+  for (let i = 0; i < grid.length; i++) {
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = grid[i];
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+function rgbaToGrid(rgba) {
+  const grid = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < grid.length; i++) grid[i] = rgba[i * 4];
+  return grid;
+}
+
+export function estimateIlluminationBlur(gray, width, height, radius) {
+  const block = Math.max(1, Math.ceil(Math.max(width, height) / 128));
+  const { grid, sw, sh } = downsample(gray, width, height, block);
+  const r = Math.max(2, Math.round(radius / block));
+  const med = medianFilter(gridToRgba(grid), sw, sh, r);
+  const smooth = gaussianFilter(med, sw, sh, Math.max(1, r >> 1));
+  return upsample(rgbaToGrid(smooth), sw, sh, width, height, block);
+}
+
+// monomials x^i y^j with i + j <= degree
+function polyTerms(x, y, degree) {
+  const t = [];
+  for (let d = 0; d <= degree; d++) {
+    for (let j = 0; j <= d; j++) t.push(Math.pow(x, d - j) * Math.pow(y, j));
+  }
+  return t;
+}
+
+// solve A x = b (small dense system) by Gaussian elimination with partial pivoting
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+    [M[c], M[piv]] = [M[piv], M[c]];
+    if (Math.abs(M[c][c]) < 1e-12) continue;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+}
+
+function median(values) {
+  const v = Float64Array.from(values).sort();
+  return v.length ? v[v.length >> 1] : 0;
+}
+
+// Tukey biweight: full weight for small residuals, none beyond c
+function tukeyWeight(r, c) {
+  const u = r / c;
+  return Math.abs(u) < 1 ? (1 - u * u) ** 2 : 0;
+}
+
+// Least squares surface refined by iteratively reweighted least squares (Tukey biweight,
+// MAD scale), starting from coef (or the median level) so outliers never pull it first.
+function robustSurfaceFit(samples, coef, iterations) {
+  const m = samples[0].t.length;
+  if (!coef) {
+    coef = new Array(m).fill(0);
+    coef[0] = median(samples.map(s => s.v));
+  }
+  const fit = (s) => s.t.reduce((acc, v, i) => acc + v * coef[i], 0);
+  for (let it = 0; it < iterations; it++) {
+    const residuals = samples.map(s => s.v - fit(s));
+    const c = 4.685 * Math.max(1, 1.4826 * median(residuals.map(Math.abs)));
+    const A = Array.from({ length: m }, () => new Array(m).fill(0));
+    const b = new Array(m).fill(0);
+    let weighted = 0;
+    samples.forEach((s, k) => {
+      const w = tukeyWeight(residuals[k], c);
+      if (!w) return;
+      weighted++;
+      for (let i = 0; i < m; i++) {
+        b[i] += w * s.t[i] * s.v;
+        for (let j = 0; j < m; j++) A[i][j] += w * s.t[i] * s.t[j];
+      }
+    });
+    if (weighted < m * 2) break;
+    coef = solveLinear(A, b);
+  }
+  return coef;
+}
+
+// Robust surface fit seeded from the border cells: a shape covering a fifth of the frame
+// bends a plain least-squares surface enough to push the corners into the foreground,
+// and under strong shading it is not an outlier to the median level either. The border
+// is background wherever shapes do not touch it, and a surface of degree <= 3 is fixed by
+// its values on the frame's outline, so the seed already follows the shading.
+export function estimateIlluminationPolynomial(gray, width, height, degree = 2, iterations = 8) {
+  const block = Math.max(1, Math.ceil(Math.max(width, height) / 128));
+  const { grid, sw, sh } = downsample(gray, width, height, block);
+  // normalized cell coordinates in [-1, 1] keep the normal equations well conditioned
+  const nx = (gx) => (sw > 1 ? (2 * gx) / (sw - 1) - 1 : 0);
+  const ny = (gy) => (sh > 1 ? (2 * gy) / (sh - 1) - 1 : 0);
+
+  const samples = [], border = [];
+  for (let gy = 0; gy < sh; gy++) {
+    for (let gx = 0; gx < sw; gx++) {
+      const s = { t: polyTerms(nx(gx), ny(gy), degree), v: grid[gy * sw + gx] };
+      samples.push(s);
+      if (gx === 0 || gy === 0 || gx === sw - 1 || gy === sh - 1) border.push(s);
+    }
+  }
+
+  const seed = border.length >= samples[0].t.length * 2 ? robustSurfaceFit(border, null, iterations) : null;
+  const coef = robustSurfaceFit(samples, seed, iterations);
+
+  const fitted = new Float32Array(sw * sh);
+  samples.forEach((s, i) => {
+    fitted[i] = s.t.reduce((acc, v, k) => acc + v * coef[k], 0);
+  });
+  return upsample(fitted, sw, sh, width, height, block);
+}
+
+// Divide the field out of every RGB channel, rescaled to the field's mean level.
+// Returns the corrected RGBA buffer and the field rendered as a grayscale RGBA image.
+export function correctIllumination(data, field, width, height) {
+  let mean = 0;
+  for (let i = 0; i < field.length; i++) mean += field[i];
+  mean /= field.length || 1;
+
+  const out = new Uint8ClampedArray(data);
+  const fieldImage = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0, i = 0; p < field.length; p++, i += 4) {
+    const f = Math.max(1, field[p]);
+    const k = mean / f;
+    out[i] = data[i] * k;
+    out[i + 1] = data[i + 1] * k;
+    out[i + 2] = data[i + 2] * k;
+    fieldImage[i] = fieldImage[i + 1] = fieldImage[i + 2] = f;
+    fieldImage[i + 3] = 255;
+  }
+  return { data: out, fieldImage: { width, height, data: fieldImage } };
+}
@@ -0,0 +1,28 @@
+import ShapeDetector from './ShapeDetector';
+
+// white RGBA image with a pale rectangle covering a fifth of it, optionally darkened
+// towards the corners by shade(x, y) in [0, 1]
+function paleRectangle(width, height, shade = () => 1) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = x >= 90 && x < 210 && y >= 50 && y < 150;
+      const rgb = inside ? [190, 220, 215] : [255, 255, 255];
+      const k = shade(x, y);
+      data.set(rgb.map(v => v * k), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const vignette = (x, y) => 1 - 0.225 * (((x - 150) / 150) ** 2 + ((y - 100) / 100) ** 2);
+
+describe('polynomial illumination correction', () => {
+  it.each([
+    ['a flat', undefined],
+    ['a vignetted', vignette],
+  ])('leaves %s background empty around a large pale fill', async (_, shade) => {
+    const result = await new ShapeDetector({ illumination: 'polynomial' }).detectShapes(paleRectangle(300, 200, shade));
+    expect(result.shapes.map(s => s.type)).toEqual(['rectangle']);
+  });
+});
@@ -0,0 +1,88 @@
+// frontend/src/utils/labeling.js
+// Two-pass connected-component labeling with union-find. Pixels join when they are
+// neighbors (4- or 8-connectivity) and carry the same nonzero mask value, so palette
+// clusters that touch stay separate components.
+
+function find(parent, a) {
+  while (parent[a] !== a) {
+    parent[a] = parent[parent[a]]; // path halving
+    a = parent[a];
+  }
+  return a;
+}
+
+function union(parent, a, b) {
+  const ra = find(parent, a), rb = find(parent, b);
+  if (ra < rb) parent[rb] = ra;
+  else if (rb < ra) parent[ra] = rb;
+}
+
+// mask: per-pixel label (0 = background). connectivity: 4 | 8.
+// Returns { labels, count, components } where labels is an Int32Array of component ids
+// (1..count, numbered in raster order of their first pixel) and components[id - 1] is
+// { id, label, area, sumX, sumY, startX, startY, boundingBox }; (startX, startY) is the
+// component's first pixel in raster order.
+export function labelComponents(mask, width, height, connectivity = 4) {
+  const labels = new Int32Array(width * height);
+  const parent = [0];
+  const diagonal = connectivity === 8;
+
+  // pass 1: provisional labels from the already-visited neighbors, equivalences merged
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const v = mask[idx];
+      if (v === 0) continue;
+      let l = 0;
+      const join = (n) => {
+        if (mask[n] !== v) return;
+        if (!l) l = labels[n];
+        else if (labels[n] !== l) union(parent, l, labels[n]);
+      };
+      if (x > 0) join(idx - 1);
+      if (y > 0) {
+        join(idx - width);
+        if (diagonal && x > 0) join(idx - width - 1);
+        if (diagonal && x < width - 1) join(idx - width + 1);
+      }
+      if (!l) {
+        l = parent.length;
+        parent.push(l);
+      }
+      labels[idx] = l;
+    }
+  }
+
+  // pass 2: resolve to compact ids and gather per-component statistics
+  const compact = new Int32Array(parent.length);
+  const components = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      if (!labels[idx]) continue;
+      const root = find(parent, labels[idx]);
+      let id = compact[root];
+      if (!id) {
+        id = compact[root] = components.length + 1;
+        components.push({ id, label: mask[idx], area: 0, sumX: 0, sumY: 0, startX: x, startY: y, minX: x, minY: y, maxX: x, maxY: y });
+      }
+      labels[idx] = id;
+      const c = components[id - 1];
+      c.area++;
+      c.sumX += x;
+      c.sumY += y;
+      if (x < c.minX) c.minX = x;
+      if (x > c.maxX) c.maxX = x;
+      if (y > c.maxY) c.maxY = y;
+    }
+  }
+
+  return {
+    labels,
+    count: components.length,
+    components: components.map(({ minX, minY, maxX, maxY, ...c }) => ({
+      ...c,
+      boundingBox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    })),
+  };
+}
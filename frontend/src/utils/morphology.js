@@ -0,0 +1,116 @@
+// frontend/src/utils/morphology.js
+// Binary morphology on 0/1 masks: erosion, dilation, opening, closing.
+// Structuring elements: 'square' (separable, fast), 'cross', 'disk'.
+// Pixels outside the image are ignored, so shapes touching the border are not eaten away.
+
+// offsets {dx,dy} of a size x size structuring element
+export function structuringElement(size, shape = 'square') {
+  const r = Math.max(0, (size - 1) >> 1);
+  const offs = [];
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      if (shape === 'cross' && dx !== 0 && dy !== 0) continue;
+      if (shape === 'disk' && dx * dx + dy * dy > r * r + r) continue;
+      offs.push({ dx, dy });
+    }
+  }
+  return offs;
+}
+
+// one 1-D pass of a square element: out = all (erode) / any (dilate) over [i-r, i+r]
+// along rows (horizontal) or columns, using a running count of set pixels
+function squarePass(src, width, height, r, erode, horizontal) {
+  const out = new Uint8Array(src.length);
+  const lines = horizontal ? height : width;
+  const len = horizontal ? width : height;
+  const step = horizontal ? 1 : width;
+  for (let l = 0; l < lines; l++) {
+    const base = horizontal ? l * width : l;
+    let count = 0;
+    // prime the window [0, r-1]
+    for (let k = 0; k < Math.min(r, len); k++) count += src[base + k * step];
+    for (let i = 0; i < len; i++) {
+      const enter = i + r, leave = i - r - 1;
+      if (enter < len) count += src[base + enter * step];
+      if (leave >= 0) count -= src[base + leave * step];
+      const n = Math.min(len - 1, i + r) - Math.max(0, i - r) + 1;
+      out[base + i * step] = erode ? (count === n ? 1 : 0) : (count > 0 ? 1 : 0);
+    }
+  }
+  return out;
+}
+
+function morph(mask, width, height, size, shape, erode) {
+  if (size <= 1) return mask.slice();
+  if (shape === 'square') {
+    const r = (size - 1) >> 1;
+    const rows = squarePass(mask, width, height, r, erode, true);
+    return squarePass(rows, width, height, r, erode, false);
+  }
+
+  const offs = structuringElement(size, shape);
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let hit = erode ? 1 : 0;
+      for (let k = 0; k < offs.length; k++) {
+        const nx = x + offs[k].dx, ny = y + offs[k].dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const v = mask[ny * width + nx];
+        if (erode && v === 0) { hit = 0; break; }
+        if (!erode && v === 1) { hit = 1; break; }
+      }
+      out[y * width + x] = hit;
+    }
+  }
+  return out;
+}
+
+export function erode(mask, width, height, size = 3, shape = 'square') {
+  return morph(mask, width, height, size, shape, true);
+}
+
+export function dilate(mask, width, height, size = 3, shape = 'square') {
+  return morph(mask, width, height, size, shape, false);
+}
+
+// opening removes specks smaller than the element
+export function opening(mask, width, height, size = 3, shape = 'square') {
+  return dilate(erode(mask, width, height, size, shape), width, height, size, shape);
+}
+
+// closing bridges gaps narrower than the element
+export function closing(mask, width, height, size = 3, shape = 'square') {
+  return erode(dilate(mask, width, height, size, shape), width, height, size, shape);
+}
+
+// op: 'none' | 'open' | 'close' | 'open-close' | 'close-open'
+export function applyMorphology(mask, width, height, op, size, shape) {
+  if (!op || op === 'none' || size <= 1) return mask;
+  let out = mask;
+  for (const step of op.split('-')) {
+    out = step === 'open'
+      ? opening(out, width, height, size, shape)
+      : closing(out, width, height, size, shape);
+  }
+  return out;
+}
+
+// Same as applyMorphology for a multi-label mask (0 = background, 1..n = classes):
+// each class is processed on its own, and a pixel claimed by two classes after
+// dilation keeps the first (lower) label.
+export function applyMorphologyPerLabel(labels, width, height, op, size, shape) {
+  if (!op || op === 'none' || size <= 1) return labels;
+  let maxLabel = 0;
+  for (let i = 0; i < labels.length; i++) if (labels[i] > maxLabel) maxLabel = labels[i];
+  const out = new Uint8Array(labels.length);
+  const bin = new Uint8Array(labels.length);
+  for (let l = 1; l <= maxLabel; l++) {
+    for (let i = 0; i < labels.length; i++) bin[i] = labels[i] === l ? 1 : 0;
+    const res = applyMorphology(bin, width, height, op, size, shape);
+    for (let i = 0; i < labels.length; i++) {
+      if (res[i] && !out[i]) out[i] = l;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,322 @@
+// frontend/src/utils/primitives.js
+// Segmentation of a closed outline into straight lines and circular arcs, and recognition
+// of the composite shapes they make up: semicircles, quarter circles and other sectors,
+// crescents, stadiums and rounded rectangles. Runs of the outline are split where they
+// stray furthest from their chord (as Douglas-Peucker does) until each run fits a line or
+// a circle within tolerance; neighboring runs that still fit one primitive are merged.
+
+// least-squares circle (Kasa) through points, centered first for conditioning; null when
+// the points are (nearly) colinear
+function fitCircle(points) {
+  const n = points.length;
+  let mx = 0, my = 0;
+  for (const p of points) { mx += p.x; my += p.y; }
+  mx /= n;
+  my /= n;
+  let suu = 0, suv = 0, svv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+  for (const p of points) {
+    const u = p.x - mx, v = p.y - my;
+    suu += u * u;
+    suv += u * v;
+    svv += v * v;
+    suuu += u * u * u;
+    svvv += v * v * v;
+    suvv += u * v * v;
+    svuu += v * u * u;
+  }
+  const det = suu * svv - suv * suv;
+  if (Math.abs(det) < 1e-9 * (suu + svv) * (suu + svv) || !det) return null;
+  const bu = (suuu + suvv) / 2, bv = (svvv + svuu) / 2;
+  const uc = (bu * svv - bv * suv) / det, vc = (bv * suu - bu * suv) / det;
+  return { x: mx + uc, y: my + vc, r: Math.sqrt(uc * uc + vc * vc + (suu + svv) / n) };
+}
+
+function chordDistance(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len = Math.hypot(dx, dy);
+  if (!len) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / len;
+}
+
+// fit one run of points: a line (every point within tol of the chord), else an arc (every
+// point within tol of the fitted circle), else null; error is the sum of squared distances
+function fitRun(points, tol) {
+  const a = points[0], b = points[points.length - 1];
+  const along = points.map(p => chordDistance(p, a, b));
+  if (along.every(d => d <= tol)) return { kind: 'line', error: along.reduce((e, d) => e + d * d, 0) };
+  if (points.length < 5) return null;
+  const c = fitCircle(points);
+  if (!c) return null;
+  const off = points.map(p => Math.abs(Math.hypot(p.x - c.x, p.y - c.y) - c.r));
+  if (off.some(d => d > tol)) return null;
+  // signed angle swept around the center along the run
+  let sweep = 0;
+  for (let k = 1; k < points.length; k++) {
+    let d = Math.atan2(points[k].y - c.y, points[k].x - c.x) - Math.atan2(points[k - 1].y - c.y, points[k - 1].x - c.x);
+    if (d > Math.PI) d -= 2 * Math.PI;
+    if (d < -Math.PI) d += 2 * Math.PI;
+    sweep += d;
+  }
+  return { kind: 'arc', circle: c, sweep, error: off.reduce((e, d) => e + d * d, 0) };
+}
+
+// Points where the outline turns by at least minTurn (radians) over `reach` points on
+// either side, one per turn (the sharpest point): the corners of semicircles, sectors and
+// crescent horns, also once a median prefilter has rounded them off.
+function sharpCorners(contour, reach, minTurn) {
+  const n = contour.length;
+  const turn = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const a = contour[(k - reach + n) % n], b = contour[k], c = contour[(k + reach) % n];
+    const ux = b.x - a.x, uy = b.y - a.y, vx = c.x - b.x, vy = c.y - b.y;
+    turn[k] = Math.abs(Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy));
+  }
+  const corners = [];
+  for (let k = 0; k < n; k++) {
+    if (turn[k] < minTurn) continue;
+    let peak = true;
+    for (let d = 1; d <= reach && peak; d++) {
+      if (turn[(k + d) % n] > turn[k] || turn[(k - d + n) % n] >= turn[k]) peak = false;
+    }
+    if (peak) corners.push(k);
+  }
+  return corners;
+}
+
+// Split the run of points from i to j (the whole loop when closed, i === j) into lines and
+// arcs: runs are split where they stray furthest from their chord until each fits, then
+// neighbors that still fit one primitive are merged. Returns [{ i, j, fit }] in order.
+function segmentRun(contour, i0, j0, tol, closed) {
+  const n = contour.length;
+  const run = (i, j) => {
+    const pts = [];
+    for (let k = i; ; k = (k + 1) % n) {
+      pts.push(contour[k]);
+      if (k === j) break;
+    }
+    return pts;
+  };
+
+  // a closed loop starts from the point farthest from contour[i0], so two runs cover it
+  let first = i0;
+  const stack = [[i0, j0]];
+  if (closed) {
+    let farDist = -1;
+    for (let k = 0; k < n; k++) {
+      const d = Math.hypot(contour[k].x - contour[i0].x, contour[k].y - contour[i0].y);
+      if (d > farDist) { farDist = d; first = k; }
+    }
+    stack.splice(0, 1, [first, i0], [i0, first]);
+  }
+  const segments = [];
+  while (stack.length) {
+    const [i, j] = stack.pop();
+    const pts = run(i, j);
+    const fit = fitRun(pts, tol);
+    if (fit || pts.length < 3) {
+      segments.push({ i, j, fit: fit || { kind: 'line', error: 0 } });
+      continue;
+    }
+    let split = 1, worst = -1;
+    for (let k = 1; k < pts.length - 1; k++) {
+      const d = chordDistance(pts[k], pts[0], pts[pts.length - 1]);
+      if (d > worst) { worst = d; split = k; }
+    }
+    const m = (i + split) % n;
+    stack.push([m, j], [i, m]);
+  }
+  segments.sort((s, t) => ((s.i - first + n) % n) - ((t.i - first + n) % n));
+
+  // Splitting rarely lands on a smooth (tangent) joint between a line and an arc, leaving
+  // short stubs: merge neighbors (around the closing point too, on a closed loop) that
+  // still fit one primitive, then slide joints next to arcs to where both sides fit best,
+  // until nothing changes
+  const pairs = () => (closed ? segments.length : segments.length - 1);
+  const minSegments = closed ? 2 : 1;
+  for (let changed = true, round = 0; changed && round < 10; round++) {
+    changed = false;
+    for (let k = 0; k < pairs() && segments.length > minSegments; k++) {
+      const s = segments[k], t = segments[(k + 1) % segments.length];
+      const fit = fitRun(run(s.i, t.j), tol);
+      if (!fit) continue;
+      segments.splice(k, 1, { i: s.i, j: t.j, fit });
+      segments.splice((k + 1) % segments.length, 1);
+      changed = true;
+    }
+    for (let k = 0; k < pairs() && segments.length > 1; k++) {
+      const s = segments[k], t = segments[(k + 1) % segments.length];
+      if (s.fit.kind === 'line' && t.fit.kind === 'line') continue; // corners split cleanly
+      const span = (t.j - s.i + n) % n || n, at = (s.j - s.i + n) % n;
+      // within a quarter of the shorter side around the current joint
+      const reach = Math.max(3, Math.round(Math.min(at, span - at) / 4));
+      let best = { m: s.j, error: 0.9 * (s.fit.error + t.fit.error) };
+      for (let d = Math.max(2, at - reach); d <= Math.min(span - 2, at + reach); d++) {
+        const m = (s.i + d) % n;
+        const a = fitRun(run(s.i, m), tol), b = a && fitRun(run(m, t.j), tol);
+        if (b && a.error + b.error < best.error) best = { m, a, b, error: a.error + b.error };
+      }
+      if (best.m === s.j) continue;
+      segments[k] = { i: s.i, j: best.m, fit: best.a };
+      segments[(k + 1) % segments.length] = { i: best.m, j: t.j, fit: best.b };
+      changed = true;
+    }
+  }
+  return segments;
+}
+
+// Segment a closed outline [{x, y}, ...] into lines and arcs. Points farther than tol
+// from their primitive are not allowed. Sharp corners are found first and each run
+// between two of them is segmented on its own, leaving out `cornerReach` points on either
+// side of a corner: a rounded corner would otherwise fit a small arc, or bend the end of
+// a large one. The first and last primitive of a run are then extended to the corners.
+// Returns [{ kind: 'line', start, end, length } | { kind: 'arc', start, end, middle,
+// center, radius, sweep, convex, length }] in outline order; sweep is in degrees, middle
+// the point halfway along the arc, and convex tells an arc bulging outwards from one
+// curving inwards.
+export function segmentContour(contour, { tol = 1, cornerAngle = 45, cornerReach = 5 } = {}) {
+  const n = contour.length;
+  if (n < 6) return [];
+  let area2 = 0;
+  for (let k = 0; k < n; k++) {
+    const a = contour[k], b = contour[(k + 1) % n];
+    area2 += a.x * b.y - b.x * a.y;
+  }
+
+  // [{ i, j, fit, from, to }]: from / to are the outline points the primitive spans
+  const segments = [];
+  const corners = sharpCorners(contour, cornerReach, (cornerAngle * Math.PI) / 180);
+  if (!corners.length) {
+    for (const seg of segmentRun(contour, 0, 0, tol, true)) segments.push({ ...seg, from: seg.i, to: seg.j });
+  }
+  corners.forEach((a, k) => {
+    const b = corners[(k + 1) % corners.length];
+    if (((b - a + n) % n || n) <= 2 * cornerReach + 2) return;
+    const run = segmentRun(contour, (a + cornerReach) % n, (b - cornerReach + n) % n, tol, false);
+    run.forEach((seg, m) => segments.push({
+      ...seg,
+      from: m === 0 ? a : seg.i,
+      to: m === run.length - 1 ? b : seg.j,
+    }));
+  });
+
+  return segments.map(({ i, j, fit, from, to }) => {
+    const start = contour[from], end = contour[to];
+    if (fit.kind === 'line') {
+      return { kind: 'line', start, end, length: Math.hypot(end.x - start.x, end.y - start.y) };
+    }
+    const { circle } = fit;
+    // signed turn around the center from p to q, for the stretches added at the corners
+    const turn = (p, q) => {
+      let d = Math.atan2(q.y - circle.y, q.x - circle.x) - Math.atan2(p.y - circle.y, p.x - circle.x);
+      if (d > Math.PI) d -= 2 * Math.PI;
+      if (d < -Math.PI) d += 2 * Math.PI;
+      return d;
+    };
+    const sweep = fit.sweep + turn(start, contour[i]) + turn(contour[j], end);
+    const half = Math.atan2(start.y - circle.y, start.x - circle.x) + sweep / 2;
+    return {
+      kind: 'arc',
+      start,
+      end,
+      middle: { x: circle.x + circle.r * Math.cos(half), y: circle.y + circle.r * Math.sin(half) },
+      center: { x: circle.x, y: circle.y },
+      radius: circle.r,
+      sweep: (Math.abs(sweep) * 180) / Math.PI,
+      convex: sweep * area2 > 0,
+      length: Math.abs(sweep) * circle.r,
+    };
+  });
+}
+
+// direction from p to q in degrees [0, 360), clockwise on screen from the +x axis
+function heading(p, q) {
+  const deg = (Math.atan2(q.y - p.y, q.x - p.x) * 180) / Math.PI;
+  return (deg + 360) % 360;
+}
+
+const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length;
+
+// Recognize a composite shape from the primitives of its outline; pieces shorter than 3%
+// of the perimeter (joints between primitives) are ignored and arcs flatter than
+// angleTolerance count as lines. Returns { type, parameters } or null; type is
+// 'semicircle' | 'quarter-circle' | 'sector' | 'crescent' | 'stadium' |
+// 'rounded-rectangle'. Directions and angles are in degrees, clockwise on screen; radii
+// and lengths grow by pad (outline points sitting inside the edge), inner radii shrink.
+export function classifyComposite(primitives, perimeter, { angleTolerance = 15, lengthTolerance = 0.15, pad = 0 } = {}) {
+  const minLength = Math.max(4, 0.03 * perimeter);
+  const parts = primitives.filter(p => p.length >= minLength);
+  const arcs = parts.filter(p => p.kind === 'arc' && p.sweep >= angleTolerance);
+  const lines = parts.filter(p => !arcs.includes(p));
+  if (!arcs.length) return null;
+  const near = (a, b) => Math.abs(a - b) <= angleTolerance;
+  const similar = (a, b) => Math.abs(a - b) <= lengthTolerance * Math.max(a, b);
+  const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+
+  // one bulging arc closed by its diameter, or by two radii meeting at its center
+  if (arcs.length === 1 && arcs[0].convex) {
+    const { center, radius, sweep, middle } = arcs[0];
+    const direction = heading(center, middle);
+    if (lines.length === 1 && near(sweep, 180) && similar(lines[0].length, 2 * radius)) {
+      return { type: 'semicircle', parameters: { center, radius: radius + pad, direction } };
+    }
+    const toCenter = (l) => Math.min(dist(l.start, center), dist(l.end, center));
+    if (lines.length === 2 && lines.every(l => similar(l.length, radius) && toCenter(l) <= lengthTolerance * radius)) {
+      return {
+        type: near(sweep, 90) ? 'quarter-circle' : 'sector',
+        parameters: { center, radius: radius + pad, angle: sweep, direction },
+      };
+    }
+    return null;
+  }
+
+  // an outer arc and an inner one curving the other way, meeting at two horns. The horns
+  // are where the two circles cross, so their centers lie further apart than the difference
+  // of their radii; (nearly) concentric arcs make a ring with a gap, not a crescent.
+  if (arcs.length === 2 && !lines.length && arcs[0].convex !== arcs[1].convex) {
+    const outer = arcs.find(a => a.convex), inner = arcs.find(a => !a.convex);
+    if (dist(outer.center, inner.center) < 0.5 * (outer.radius - inner.radius)) return null;
+    return {
+      type: 'crescent',
+      parameters: {
+        outer: { center: outer.center, radius: outer.radius + pad },
+        inner: { center: inner.center, radius: inner.radius - pad },
+        direction: heading(inner.center, outer.center),
+      },
+    };
+  }
+
+  // rounded ends or corners of one radius joined by straight sides; where an arc runs
+  // smoothly into a line, the line takes a little of the arc, hence the wider margin
+  if (!arcs.every(a => a.convex && similar(a.radius, arcs[0].radius))) return null;
+  const rounded = (a, sweep) => Math.abs(a.sweep - sweep) <= 2 * angleTolerance;
+  const radius = mean(arcs.map(a => a.radius));
+  const center = { x: mean(arcs.map(a => a.center.x)), y: mean(arcs.map(a => a.center.y)) };
+  if (arcs.length === 2 && lines.length === 2 && arcs.every(a => rounded(a, 180))
+    && similar(lines[0].length, lines[1].length)) {
+    const [a, b] = arcs;
+    return {
+      type: 'stadium',
+      parameters: {
+        center,
+        length: dist(a.center, b.center) + 2 * (radius + pad),
+        radius: radius + pad,
+        angle: heading(a.center, b.center) % 180,
+      },
+    };
+  }
+  if (arcs.length === 4 && lines.length === 4 && arcs.every(a => rounded(a, 90))) {
+    const [c0, c1, c2] = arcs.map(a => a.center);
+    const side1 = dist(c0, c1), side2 = dist(c1, c2);
+    return {
+      type: 'rounded-rectangle',
+      parameters: {
+        center,
+        width: Math.max(side1, side2) + 2 * (radius + pad),
+        height: Math.min(side1, side2) + 2 * (radius + pad),
+        cornerRadius: radius + pad,
+        angle: (side1 >= side2 ? heading(c0, c1) : heading(c1, c2)) % 180,
+      },
+    };
+  }
+  return null;
+}
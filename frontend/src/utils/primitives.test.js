@@ -0,0 +1,44 @@
+import ShapeDetector from './ShapeDetector';
+
+// white RGBA image with black pixels wherever inside(x + 0.5, y + 0.5) holds
+function image(width, height, inside) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (inside(x + 0.5, y + 0.5)) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+const disk = (cx, cy, r) => (x, y) => (x - cx) ** 2 + (y - cy) ** 2 <= r * r;
+
+const shapes = {
+  semicircle: image(160, 120, (x, y) => y <= 80 && disk(80, 80, 50)(x, y)),
+  crescent: image(160, 160, (x, y) => disk(80, 80, 55)(x, y) && !disk(102, 80, 45)(x, y)),
+  // ring with a 30 degree gap on the right: concentric arcs, no horns
+  gappedRing: image(160, 160, (x, y) => {
+    const d = Math.hypot(x - 80, y - 80);
+    return d >= 40 && d <= 52 && Math.abs(Math.atan2(y - 80, x - 80)) >= (15 * Math.PI) / 180;
+  }),
+};
+
+describe('composite shapes', () => {
+  it.each(['none', 'median'])('reads semicircles and crescents from their arcs (prefilter %s)', async (prefilter) => {
+    for (const contourSource of ['pixels', 'subpixel']) {
+      const detector = new ShapeDetector({ prefilter, prefilterRadius: 2, contourSource });
+      for (const type of ['semicircle', 'crescent']) {
+        const result = await detector.detectShapes(shapes[type]);
+        expect(result.shapes.map(s => s.type)).toEqual([type]);
+      }
+    }
+  });
+
+  it('does not take a ring with a gap for a crescent', async () => {
+    for (const prefilter of ['none', 'median']) {
+      const result = await new ShapeDetector({ prefilter, prefilterRadius: 2 }).detectShapes(shapes.gappedRing);
+      expect(result.shapes).toHaveLength(1);
+      expect(result.shapes[0].type).not.toBe('crescent');
+    }
+  });
+});
@@ -0,0 +1,123 @@
+// frontend/src/utils/pyramid.js
+// Multi-resolution helpers for very large uploads: box downscaling, ROI cropping and
+// mapping detected shapes (and label images) between coarse, ROI and original-image coordinates.
+
+// integer-factor box downscale of an ImageData-like { width, height, data }
+export function downscaleImage(imageData, factor) {
+  const { width, height, data } = imageData;
+  const sw = Math.ceil(width / factor), sh = Math.ceil(height / factor);
+  const acc = new Float64Array(sw * sh * 4);
+  const counts = new Uint32Array(sw * sh);
+  for (let y = 0; y < height; y++) {
+    const row = ((y / factor) | 0) * sw;
+    for (let x = 0; x < width; x++) {
+      const o = (row + ((x / factor) | 0));
+      const i = (y * width + x) * 4;
+      acc[o * 4] += data[i];
+      acc[o * 4 + 1] += data[i + 1];
+      acc[o * 4 + 2] += data[i + 2];
+      acc[o * 4 + 3] += data[i + 3];
+      counts[o]++;
+    }
+  }
+  const out = new Uint8ClampedArray(sw * sh * 4);
+  for (let o = 0; o < counts.length; o++) {
+    for (let c = 0; c < 4; c++) out[o * 4 + c] = acc[o * 4 + c] / counts[o];
+  }
+  return { width: sw, height: sh, data: out };
+}
+
+// copy of the rectangle { x, y, width, height } as an ImageData-like object
+export function cropImage(imageData, roi) {
+  const { width, data } = imageData;
+  const out = new Uint8ClampedArray(roi.width * roi.height * 4);
+  for (let y = 0; y < roi.height; y++) {
+    const src = ((roi.y + y) * width + roi.x) * 4;
+    out.set(data.subarray(src, src + roi.width * 4), y * roi.width * 4);
+  }
+  return { width: roi.width, height: roi.height, data: out };
+}
+
+// Apply p -> (p * scale + offset) to every coordinate a shape carries.
+// Lengths scale by scale, areas by scale^2. Any new positional field on shapes must be added here.
+export function mapShape(shape, scale, dx = 0, dy = 0) {
+  const pt = (p) => ({ ...p, x: p.x * scale + dx, y: p.y * scale + dy });
+  const pts = (list) => (list ? list.map(pt) : list);
+  return {
+    ...shape,
+    vertices: pts(shape.vertices),
+    rawVertices: pts(shape.rawVertices),
+    center: scale === 1
+      ? pt(shape.center)
+      : { x: Math.round(shape.center.x * scale + dx), y: Math.round(shape.center.y * scale + dy) },
+    area: shape.area * scale * scale,
+    perimeter: shape.perimeter * scale,
+    contourArea: shape.contourArea * scale * scale,
+    boundingBox: mapBox(shape.boundingBox, scale, dx, dy),
+    orientedBox: shape.orientedBox && {
+      ...shape.orientedBox,
+      center: pt(shape.orientedBox.center),
+      width: shape.orientedBox.width * scale,
+      height: shape.orientedBox.height * scale,
+      corners: pts(shape.orientedBox.corners),
+    },
+    triangle: shape.triangle && {
+      ...shape.triangle,
+      sides: shape.triangle.sides.map(l => l * scale),
+    },
+    ellipse: shape.ellipse && {
+      ...shape.ellipse,
+      center: pt(shape.ellipse.center),
+      semiMajor: shape.ellipse.semiMajor * scale,
+      semiMinor: shape.ellipse.semiMinor * scale,
+      residual: shape.ellipse.residual * scale,
+    },
+    parameters: shape.parameters && mapParameters(shape.parameters, scale, pt),
+    primitives: shape.primitives && shape.primitives.map(p => ({
+      ...p,
+      start: pt(p.start),
+      end: pt(p.end),
+      ...(p.kind === 'arc' && { middle: pt(p.middle), center: pt(p.center), radius: p.radius * scale }),
+      length: p.length * scale,
+    })),
+    holes: shape.holes && shape.holes.map(h => ({
+      ...h,
+      vertices: pts(h.vertices),
+      center: pt(h.center),
+      area: h.area * scale * scale,
+      boundingBox: mapBox(h.boundingBox, scale, dx, dy),
+    })),
+  };
+}
+
+// composite-shape parameters: points move, lengths scale, angles stay
+const PARAMETER_LENGTHS = ['radius', 'length', 'width', 'height', 'cornerRadius'];
+
+function mapParameters(params, scale, pt) {
+  const out = { ...params };
+  if (params.center) out.center = pt(params.center);
+  for (const key of PARAMETER_LENGTHS) if (key in params) out[key] = params[key] * scale;
+  if (params.outer) out.outer = mapParameters(params.outer, scale, pt);
+  if (params.inner) out.inner = mapParameters(params.inner, scale, pt);
+  return out;
+}
+
+function mapBox(bb, scale, dx, dy) {
+  return {
+    x: bb.x * scale + dx,
+    y: bb.y * scale + dy,
+    width: bb.width * scale,
+    height: bb.height * scale,
+  };
+}
+
+// Paint the pixels labeled `from` in src (a label image whose pixel (sx, sy) covers
+// dst pixels (dx + sx * scale, dy + sy * scale) onwards) into dst as `to`, within box.
+export function paintLabels(dst, dstWidth, src, srcWidth, box, from, to, scale = 1, dx = 0, dy = 0) {
+  for (let y = box.y; y < box.y + box.height; y++) {
+    const row = (((y - dy) / scale) | 0) * srcWidth;
+    for (let x = box.x; x < box.x + box.width; x++) {
+      if (src[row + (((x - dx) / scale) | 0)] === from) dst[y * dstWidth + x] = to;
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// frontend/src/utils/quadrilateral.js
+// Rotation-invariant measurements of convex outlines: the minimum-area bounding rectangle
+// (rotating calipers over the convex hull; one side of the optimal rectangle is flush
+// with a hull edge) and the classification of quadrilaterals by their own side lengths
+// and corner angles instead of their axis-aligned extent.
+
+// direction of a vector in degrees [0, 180), clockwise on screen from the +x axis
+function direction(dx, dy) {
+  const deg = (Math.atan2(dy, dx) * 180) / Math.PI;
+  return ((deg % 180) + 180) % 180;
+}
+
+// Minimum-area rectangle around a convex hull [{x, y}, ...] (no repeated or colinear
+// points), grown by pad on every side. Returns { center, width, height, angle, corners }
+// with width >= height, angle the direction of the long side (degrees [0, 180),
+// clockwise on screen), or null.
+export function minAreaRect(hull, pad = 0) {
+  const n = hull.length;
+  if (n < 3) return null;
+  let area2 = 0;
+  for (let i = 0; i < n; i++) {
+    const a = hull[i], b = hull[(i + 1) % n];
+    area2 += a.x * b.y - b.x * a.y;
+  }
+  const side = Math.sign(area2) || 1; // the hull lies on the inner normal's side of each edge
+
+  let best = null;
+  // calipers: farthest point from the edge, furthest forward and backward along it
+  let far = 1, ahead = 1, behind = 0;
+  for (let i = 0; i < n; i++) {
+    const a = hull[i], b = hull[(i + 1) % n];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!len) continue;
+    const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+    const nx = -uy * side, ny = ux * side;
+    const along = (p) => (p.x - a.x) * ux + (p.y - a.y) * uy;
+    const across = (p) => (p.x - a.x) * nx + (p.y - a.y) * ny;
+
+    for (let step = 0; step < n && along(hull[(ahead + 1) % n]) > along(hull[ahead]); step++) ahead = (ahead + 1) % n;
+    if (i === 0) far = ahead;
+    for (let step = 0; step < n && across(hull[(far + 1) % n]) > across(hull[far]); step++) far = (far + 1) % n;
+    if (i === 0) behind = far;
+    for (let step = 0; step < n && along(hull[(behind + 1) % n]) < along(hull[behind]); step++) behind = (behind + 1) % n;
+
+    const u0 = along(hull[behind]), u1 = along(hull[ahead]), h = across(hull[far]);
+    const area = (u1 - u0) * h;
+    if (!best || area < best.area) best = { area, a, ux, uy, nx, ny, u0, u1, h };
+  }
+  if (!best) return null;
+
+  const { a, ux, uy, nx, ny } = best;
+  const u0 = best.u0 - pad, u1 = best.u1 + pad, v0 = -pad, v1 = best.h + pad;
+  const at = (u, v) => ({ x: a.x + u * ux + v * nx, y: a.y + u * uy + v * ny });
+  const length = u1 - u0, h = v1 - v0;
+  return {
+    center: at((u0 + u1) / 2, (v0 + v1) / 2),
+    width: Math.max(length, h),
+    height: Math.min(length, h),
+    angle: length >= h ? direction(ux, uy) : direction(nx, ny),
+    corners: [at(u0, v0), at(u1, v0), at(u1, v1), at(u0, v1)],
+  };
+}
+
+// A kite's axis (one diagonal) is the perpendicular bisector of the other diagonal, up to
+// 5% of that diagonal's length; the long diagonals are measured more reliably than the sides
+function isKite(quad, angleTolerance, sideSlack) {
+  const [p0, p1, p2, p3] = quad;
+  const d1x = p2.x - p0.x, d1y = p2.y - p0.y, len1 = Math.hypot(d1x, d1y);
+  const d2x = p3.x - p1.x, d2y = p3.y - p1.y, len2 = Math.hypot(d2x, d2y);
+  if (!len1 || !len2) return false;
+  const between = (Math.acos(Math.min(1, Math.abs(d1x * d2x + d1y * d2y) / (len1 * len2))) * 180) / Math.PI;
+  if (90 - between > angleTolerance) return false;
+  // distance of each diagonal's midpoint from the line of the other
+  const offset = (a, dx, dy, len, m) => Math.abs((m.x - a.x) * dy - (m.y - a.y) * dx) / len;
+  const mid1 = { x: (p0.x + p2.x) / 2, y: (p0.y + p2.y) / 2 };
+  const mid2 = { x: (p1.x + p3.x) / 2, y: (p1.y + p3.y) / 2 };
+  return offset(p0, d1x, d1y, len1, mid2) <= Math.max(sideSlack, 0.05 * len2)
+    || offset(p1, d2x, d2y, len2, mid1) <= Math.max(sideSlack, 0.05 * len1);
+}
+
+// Classify a quadrilateral [{x, y} x4] (refined corners, see refineCorners) by its own
+// sides and corners: 'square' or 'rectangle' (four right angles within rightTolerance;
+// square when the sides are equal), 'rhombus', 'parallelogram' (two pairs of parallel
+// sides, equal or not), 'trapezoid' (one pair), 'kite' (two pairs of equal adjacent sides,
+// see isKite) or 'quadrilateral'.
+export function classifyQuadrilateral(quad, {
+  rightTolerance = 4, angleTolerance = 10, sideTolerance = 0.08, sideSlack = 2,
+} = {}) {
+  const sides = [], dirs = [], angles = [];
+  for (let i = 0; i < 4; i++) {
+    const prev = quad[(i + 3) % 4], cur = quad[i], next = quad[(i + 1) % 4];
+    sides.push(Math.hypot(next.x - cur.x, next.y - cur.y));
+    dirs.push(direction(next.x - cur.x, next.y - cur.y));
+    const v1x = prev.x - cur.x, v1y = prev.y - cur.y;
+    const v2x = next.x - cur.x, v2y = next.y - cur.y;
+    const dot = (v1x * v2x + v1y * v2y) / ((Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y)) || 1);
+    angles.push((Math.acos(Math.max(-1, Math.min(1, dot))) * 180) / Math.PI);
+  }
+  // corners from boundary pixels may sit a pixel off: small sides get sideSlack pixels
+  const equal = (p, q) => Math.abs(p - q) <= Math.max(sideTolerance * Math.max(p, q), sideSlack);
+  const parallel = (i) => {
+    const d = Math.abs(dirs[i] - dirs[i + 2]);
+    return Math.min(d, 180 - d) <= angleTolerance;
+  };
+  const allEqual = equal(Math.min(...sides), Math.max(...sides));
+
+  if (angles.every(a => Math.abs(a - 90) <= rightTolerance)) return allEqual ? 'square' : 'rectangle';
+  if (parallel(0) && parallel(1)) return allEqual ? 'rhombus' : 'parallelogram';
+  if (parallel(0) || parallel(1)) return 'trapezoid';
+  if (isKite(quad, angleTolerance, sideSlack)) return 'kite';
+  return 'quadrilateral';
+}
@@ -0,0 +1,218 @@
+// frontend/src/utils/thresholding.js
+// Grayscale conversion and binarization helpers used by ShapeDetector:
+// luminance histogram + Otsu global threshold, adaptive (Sauvola / Bradley)
+// local threshold on top of an integral image, and foreground polarity detection.
+
+import { labelComponents } from './labeling';
+
+// luminance (Rec. 601) of an RGBA buffer -> Uint8Array, one byte per pixel
+export function toLuminance(data, width, height) {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    gray[p] = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) | 0;
+  }
+  return gray;
+}
+
+// 256-bin histogram of a grayscale buffer
+export function computeHistogram(gray) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  return hist;
+}
+
+// --- Otsu ---
+// Returns the level t maximizing between-class variance of [0..t] vs [t+1..255].
+// Pixels with value <= t belong to the dark class.
+export function otsuThreshold(hist) {
+  let total = 0, sumAll = 0;
+  for (let i = 0; i < 256; i++) {
+    total += hist[i];
+    sumAll += i * hist[i];
+  }
+  if (total === 0) return 127;
+
+  let wB = 0, sumB = 0;
+  let best = 127, bestVar = -1;
+  for (let t = 0; t < 255; t++) {
+    wB += hist[t];
+    if (wB === 0) continue;
+    const wF = total - wB;
+    if (wF === 0) break;
+    sumB += t * hist[t];
+    const mB = sumB / wB;
+    const mF = (sumAll - sumB) / wF;
+    const between = wB * wF * (mB - mF) * (mB - mF);
+    if (between > bestVar) {
+      bestVar = between;
+      best = t;
+    }
+  }
+  return best;
+}
+
+// calls fn(pixelIndex) for every pixel within `band` px of the image edge
+export function forEachBorderPixel(width, height, band, fn) {
+  const bw = Math.max(1, Math.min(band, width >> 1, height >> 1));
+  for (let y = 0; y < height; y++) {
+    const edgeRow = y < bw || y >= height - bw;
+    for (let x = 0; x < width; x++) {
+      if (!edgeRow && x === bw) x = width - bw; // skip the interior of the row
+      fn(y * width + x);
+    }
+  }
+}
+
+// Foreground polarity from border statistics. Shapes are assumed not to cover most of
+// the border, so the border median is a background sample; the background is whichever
+// end of the image's luminance range (1st / 99th percentile) that sample sits closer to.
+// Comparing against the range instead of a global cutoff keeps vignetted borders,
+// which drift toward mid-gray, from flipping the decision.
+// Returns 'dark' (dark shapes on a light background) or 'light' (light on dark).
+export function detectPolarity(gray, width, height, histogram, band = 2) {
+  const borderHist = new Array(256).fill(0);
+  let n = 0;
+  forEachBorderPixel(width, height, band, (p) => {
+    borderHist[gray[p]]++;
+    n++;
+  });
+  const borderMedian = histogramPercentile(borderHist, n, 0.5);
+  const lo = histogramPercentile(histogram, gray.length, 0.01);
+  const hi = histogramPercentile(histogram, gray.length, 0.99);
+  return borderMedian - lo >= hi - borderMedian ? 'dark' : 'light';
+}
+
+function histogramPercentile(hist, total, q) {
+  let acc = 0;
+  for (let v = 0; v < 256; v++) {
+    acc += hist[v];
+    if (acc >= total * q) return v;
+  }
+  return 255;
+}
+
+export function invertGray(gray) {
+  const out = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) out[i] = 255 - gray[i];
+  return out;
+}
+
+// binary mask (0/1): foreground = pixels strictly below the threshold (dark shapes)
+export function applyGlobalThreshold(gray, threshold) {
+  const mask = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) mask[i] = gray[i] < threshold ? 1 : 0;
+  return mask;
+}
+
+// --- integral images ---
+// (width+1)*(height+1) summed-area tables of values and squared values, so that
+// any window sum is four lookups. Float64 keeps squared sums exact for big images.
+export function integralImages(gray, width, height) {
+  const W = width + 1;
+  const sum = new Float64Array(W * (height + 1));
+  const sqSum = new Float64Array(W * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0, rowSq = 0;
+    for (let x = 0; x < width; x++) {
+      const v = gray[y * width + x];
+      rowSum += v;
+      rowSq += v * v;
+      const o = (y + 1) * W + x + 1;
+      sum[o] = sum[o - W] + rowSum;
+      sqSum[o] = sqSum[o - W] + rowSq;
+    }
+  }
+  return { sum, sqSum };
+}
+
+// Automatic adaptive window from a global foreground mask. A local threshold only sees
+// a fill as foreground while the window around it is mostly background, so the window
+// is sized so the largest shape the global cutoff finds covers at most a fifth of it
+// (components on the image edge are left out, shading tends to reach it), clamped
+// between 1/8 of the shorter image side and the shorter side itself.
+export function autoAdaptiveWindow(globalMask, width, height) {
+  const short = Math.min(width, height);
+  let largest = 0;
+  for (const c of labelComponents(globalMask, width, height).components) {
+    const { x, y, width: w, height: h } = c.boundingBox;
+    const inside = x > 0 && y > 0 && x + w < width && y + h < height;
+    if (inside && c.area > largest) largest = c.area;
+  }
+  const side = Math.min(short, Math.max(short >> 3, Math.sqrt(5 * largest)));
+  return Math.max(15, Math.round(side) | 1);
+}
+
+// Labels of a mask's components, and which ones stay clear of the image edge
+function interiorComponents(mask, width, height) {
+  const { labels, components } = labelComponents(mask, width, height);
+  const interior = new Uint8Array(components.length + 1);
+  for (const c of components) {
+    const { x, y, width: w, height: h } = c.boundingBox;
+    interior[c.id] = x > 0 && y > 0 && x + w < width && y + h < height ? 1 : 0;
+  }
+  return { labels, components, interior };
+}
+
+// Local thresholds lose the parts of a fill whose window holds little background: the
+// inside of fills wider than the window, and pale fills near their own edges. Both are
+// taken back from the global mask, in place: holes of the local mask that the global one
+// mostly calls foreground are filled, then global shapes (off the image edge, where
+// shading collects) that the local mask mostly covers are completed. Holes and shapes
+// the two masks disagree on stay as the local threshold left them.
+export function fillFromGlobal(mask, globalMask, width, height) {
+  const inverse = new Uint8Array(mask.length);
+  for (let i = 0; i < mask.length; i++) inverse[i] = mask[i] ? 0 : 1;
+  const holes = interiorComponents(inverse, width, height);
+  const shapes = interiorComponents(globalMask, width, height);
+
+  const covered = new Int32Array(holes.components.length + 1);
+  for (let i = 0; i < mask.length; i++) if (holes.labels[i] && globalMask[i]) covered[holes.labels[i]]++;
+  for (const c of holes.components) holes.interior[c.id] &= covered[c.id] * 2 > c.area ? 1 : 0;
+  for (let i = 0; i < mask.length; i++) if (holes.interior[holes.labels[i]]) mask[i] = 1;
+
+  const confirmed = new Int32Array(shapes.components.length + 1);
+  for (let i = 0; i < mask.length; i++) if (shapes.labels[i] && mask[i]) confirmed[shapes.labels[i]]++;
+  for (const c of shapes.components) shapes.interior[c.id] &= confirmed[c.id] * 2 > c.area ? 1 : 0;
+  for (let i = 0; i < mask.length; i++) if (shapes.interior[shapes.labels[i]]) mask[i] = 1;
+  return mask;
+}
+
+// --- adaptive local threshold ---
+// method 'sauvola': T = m * (1 + k * (s / 128 - 1)), bias = k (typ. 0.2..0.5)
+// method 'bradley': T = m * (1 - t),                  bias = t (typ. 0.1..0.2)
+// Windows whose std-dev is below minContrast carry no local edge information
+// (flat background, or the inside of a fill larger than the window); those pixels
+// are re-decided against a 4x larger window so big fills do not come out hollow.
+export function adaptiveThreshold(gray, width, height, opts = {}) {
+  const { window = 31, bias = 0.2, method = 'sauvola', minContrast = 8 } = opts;
+  const { sum, sqSum } = integralImages(gray, width, height);
+  const W = width + 1;
+  const r = Math.max(1, window >> 1);
+  const mask = new Uint8Array(width * height);
+
+  const stats = { mean: 0, std: 0 };
+  function windowStats(x, y, rad) {
+    const x0 = Math.max(0, x - rad), x1 = Math.min(width - 1, x + rad) + 1;
+    const y0 = Math.max(0, y - rad), y1 = Math.min(height - 1, y + rad) + 1;
+    const n = (x1 - x0) * (y1 - y0);
+    const a = y0 * W + x0, b = y0 * W + x1, c = y1 * W + x0, d = y1 * W + x1;
+    const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / n;
+    const variance = (sqSum[d] - sqSum[b] - sqSum[c] + sqSum[a]) / n - mean * mean;
+    stats.mean = mean;
+    stats.std = variance > 0 ? Math.sqrt(variance) : 0;
+    return stats;
+  }
+  function localThreshold({ mean, std }) {
+    if (method === 'bradley') return mean * (1 - bias);
+    return mean * (1 + bias * (std / 128 - 1));
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let st = windowStats(x, y, r);
+      if (st.std < minContrast) st = windowStats(x, y, r * 4);
+      mask[y * width + x] = gray[y * width + x] < localThreshold(st) ? 1 : 0;
+    }
+  }
+  return mask;
+}
@@ -0,0 +1,23 @@
+import ShapeDetector from './ShapeDetector';
+
+// white RGBA image with a solid disk of the given gray level
+function disk(width, height, cx, cy, r, gray) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= r * r) data.fill(gray, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return { width, height, data };
+}
+
+describe('adaptive thresholding', () => {
+  it.each(['sauvola', 'bradley'])('keeps a solid mid-gray disk in one piece (%s)', async (adaptiveMethod) => {
+    const image = disk(400, 300, 200, 150, 90, 128);
+    for (const adaptiveWindow of [0, 37]) {
+      const result = await new ShapeDetector({ thresholdMode: 'adaptive', adaptiveMethod, adaptiveWindow }).detectShapes(image);
+      expect(result.shapes).toHaveLength(1);
+      expect(result.shapes[0].type).toBe('circle');
+    }
+  });
+});
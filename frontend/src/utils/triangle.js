@@ -0,0 +1,94 @@
+// frontend/src/utils/triangle.js
+// Triangle measurements for classification: corners refined by fitting a line to the
+// outline along each side (corners themselves are rounded off by rasterization; the same
+// refinement serves quadrilaterals), then interior angles, side lengths and the usual
+// subtypes by sides and by angles.
+
+// total least squares line through points: { x, y } (centroid) and unit direction
+function fitLine(points) {
+  let mx = 0, my = 0;
+  for (const p of points) { mx += p.x; my += p.y; }
+  mx /= points.length;
+  my /= points.length;
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const p of points) {
+    const dx = p.x - mx, dy = p.y - my;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  const t = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  return { x: mx, y: my, dx: Math.cos(t), dy: Math.sin(t) };
+}
+
+function intersect(l1, l2) {
+  const den = l1.dx * l2.dy - l1.dy * l2.dx;
+  if (Math.abs(den) < 1e-9) return null;
+  const t = ((l2.x - l1.x) * l2.dy - (l2.y - l1.y) * l2.dx) / den;
+  return { x: l1.x + t * l1.dx, y: l1.y + t * l1.dy };
+}
+
+// Refine the corners of a convex polygon [{x, y}, ...] (a triangle or quadrilateral) from
+// its outline [{x, y}, ...]: each side is refitted to the outline points along its middle
+// (away from the rounded corners) and moved outwards by pad (boundary pixel centers sit
+// half a pixel inside the edge); the corners are where neighboring sides meet. Corners
+// that do not refine stay as they are.
+export function refineCorners(contour, poly, pad = 0) {
+  const n = poly.length;
+  const cx = poly.reduce((t, p) => t + p.x, 0) / n, cy = poly.reduce((t, p) => t + p.y, 0) / n;
+  const lines = poly.map((a, i) => {
+    const b = poly[(i + 1) % n];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!len) return null;
+    const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+    const near = Math.max(2, 0.05 * len);
+    const along = contour.filter(p => {
+      const t = ((p.x - a.x) * ux + (p.y - a.y) * uy) / len;
+      return t > 0.15 && t < 0.85 && Math.abs((p.x - a.x) * uy - (p.y - a.y) * ux) <= near;
+    });
+    if (along.length < 3) return null;
+    const line = fitLine(along);
+    // outward normal: away from the centroid
+    let nx = -line.dy, ny = line.dx;
+    if ((line.x - cx) * nx + (line.y - cy) * ny < 0) { nx = -nx; ny = -ny; }
+    return { ...line, x: line.x + pad * nx, y: line.y + pad * ny, len };
+  });
+  return poly.map((v, i) => {
+    const before = lines[(i + n - 1) % n], after = lines[i];
+    const corner = before && after && intersect(before, after);
+    if (!corner) return v;
+    const moved = Math.hypot(corner.x - v.x, corner.y - v.y);
+    return moved <= Math.max(3, 0.15 * Math.min(before.len, after.len)) ? corner : v;
+  });
+}
+
+// Interior angles (degrees, at each vertex), side lengths (side i runs from vertex i to
+// vertex i + 1) and subtypes of a triangle: bySides 'equilateral' | 'isosceles' |
+// 'scalene' and byAngles 'right' | 'obtuse' | 'acute', with angles within tolerance
+// degrees counted as equal (or as right).
+export function classifyTriangle(tri, { tolerance = 4 } = {}) {
+  const sides = tri.map((a, i) => {
+    const b = tri[(i + 1) % 3];
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  });
+  const angles = tri.map((v, i) => {
+    const prev = tri[(i + 2) % 3], next = tri[(i + 1) % 3];
+    const v1x = prev.x - v.x, v1y = prev.y - v.y;
+    const v2x = next.x - v.x, v2y = next.y - v.y;
+    const dot = (v1x * v2x + v1y * v2y) / ((Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y)) || 1);
+    return (Math.acos(Math.max(-1, Math.min(1, dot))) * 180) / Math.PI;
+  });
+
+  const close = (a, b) => Math.abs(a - b) <= tolerance;
+  const pairs = [close(angles[0], angles[1]), close(angles[1], angles[2]), close(angles[2], angles[0])];
+  let bySides = 'scalene';
+  if (angles.every(a => close(a, 60))) bySides = 'equilateral';
+  else if (pairs.some(Boolean)) bySides = 'isosceles';
+
+  const largest = Math.max(...angles);
+  let byAngles = 'acute';
+  if (close(largest, 90)) byAngles = 'right';
+  else if (largest > 90) byAngles = 'obtuse';
+
+  return { bySides, byAngles, angles, sides };
+}
@@ -0,0 +1,179 @@
+// frontend/src/utils/watershed.js
+// Splitting of touching / overlapping blobs: exact Euclidean distance transform
+// (Felzenszwalb-Huttenlocher) plus marker-based watershed on the distance map.
+// Markers are the distance maxima that stand at least `depth` (a fraction of their
+// height) above the saddle joining them to a higher maximum, so a Venn diagram's two
+// centers survive while boundary noise and the flat ridge of a rectangle do not.
+
+const INF = 1e20;
+
+// squared distance transform of a 1D sampled function (lower envelope of parabolas)
+function edt1d(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+// Euclidean distance from every nonzero mask pixel to the nearest zero pixel
+// (pixels outside the image count as zero). Returns a Float32Array.
+export function distanceTransform(mask, width, height) {
+  // one pixel of background all around keeps shapes touching the border finite
+  const pw = width + 2, ph = height + 2;
+  const grid = new Float64Array(pw * ph);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) grid[(y + 1) * pw + x + 1] = INF;
+    }
+  }
+  const n = Math.max(pw, ph);
+  const f = new Float64Array(n), d = new Float64Array(n), z = new Float64Array(n + 1);
+  const v = new Int32Array(n);
+  for (let x = 0; x < pw; x++) {
+    for (let y = 0; y < ph; y++) f[y] = grid[y * pw + x];
+    edt1d(f, ph, d, v, z);
+    for (let y = 0; y < ph; y++) grid[y * pw + x] = d[y];
+  }
+  for (let y = 0; y < ph; y++) {
+    for (let x = 0; x < pw; x++) f[x] = grid[y * pw + x];
+    edt1d(f, pw, d, v, z);
+    for (let x = 0; x < pw; x++) grid[y * pw + x] = d[x];
+  }
+  const dist = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) dist[y * width + x] = Math.sqrt(grid[(y + 1) * pw + x + 1]);
+  }
+  return dist;
+}
+
+// Watershed of one mask (0/1, w x h) flooded from its distance maxima downward.
+// Returns an Int32Array of region indices (1..count, 0 = background) and the count.
+function watershedRegions(mask, w, h, depth) {
+  const dist = distanceTransform(mask, w, h);
+  const order = [];
+  for (let i = 0; i < mask.length; i++) if (mask[i]) order.push(i);
+  order.sort((a, b) => dist[b] - dist[a]);
+
+  // union-find over basins; each root remembers the height of its peak
+  const owner = new Int32Array(mask.length).fill(-1);
+  const parent = [];
+  const peak = [];
+  const find = (a) => {
+    while (parent[a] !== a) {
+      parent[a] = parent[parent[a]];
+      a = parent[a];
+    }
+    return a;
+  };
+
+  for (const p of order) {
+    const px = p % w, py = (p / w) | 0;
+    const level = dist[p];
+    let best = -1; // deepest basin around p
+    let up = -1;   // steepest-ascent neighbor: p joins its basin
+    const roots = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = px + dx, ny = py + dy;
+        if ((!dx && !dy) || nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+        const n = ny * w + nx;
+        const o = owner[n];
+        if (o < 0) continue;
+        if (up < 0 || dist[n] > dist[up]) up = n;
+        const r = find(o);
+        if (!roots.includes(r)) roots.push(r);
+        if (best < 0 || peak[r] > peak[best]) best = r;
+      }
+    }
+    if (best < 0) {
+      // a new maximum: provisional marker
+      best = parent.length;
+      parent.push(best);
+      peak.push(level);
+    } else {
+      // basins meeting here: shallow ones (not deep enough below their peak) are absorbed
+      for (const r of roots) {
+        if (r !== best && peak[r] - level < Math.max(1.5, depth * peak[r])) parent[r] = best;
+      }
+      best = find(owner[up]);
+    }
+    owner[p] = best;
+  }
+
+  const regions = new Int32Array(mask.length);
+  const index = new Map();
+  for (let i = 0; i < mask.length; i++) {
+    if (owner[i] < 0) continue;
+    const r = find(owner[i]);
+    if (!index.has(r)) index.set(r, index.size + 1);
+    regions[i] = index.get(r);
+  }
+  return { regions, count: index.size };
+}
+
+// Split every component of at least minArea pixels into its watershed regions.
+// labels (component ids) are rewritten in place: the first region keeps the id, the
+// others get new ids above the largest one in use. Returns the updated list, with the
+// pieces of a split component (flagged split: true) in place of the original.
+export function splitComponents(labels, components, width, height, { depth = 0.15, minArea = 1 } = {}) {
+  const pieces = new Map();
+  let nextId = components.reduce((m, c) => Math.max(m, c.id), 0);
+  for (const c of components) {
+    if (c.area < minArea) continue;
+    const box = c.boundingBox;
+    const local = new Uint8Array(box.width * box.height);
+    for (let y = 0; y < box.height; y++) {
+      for (let x = 0; x < box.width; x++) {
+        if (labels[(box.y + y) * width + box.x + x] === c.id) local[y * box.width + x] = 1;
+      }
+    }
+    const { regions, count } = watershedRegions(local, box.width, box.height, depth);
+    if (count < 2) continue;
+
+    const ids = [c.id];
+    for (let r = 2; r <= count; r++) ids.push(++nextId);
+    const parts = ids.map(id => ({
+      id, label: c.label, area: 0, sumX: 0, sumY: 0, startX: -1, startY: -1,
+      minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity,
+    }));
+    for (let y = 0; y < box.height; y++) {
+      for (let x = 0; x < box.width; x++) {
+        const r = regions[y * box.width + x];
+        if (!r) continue;
+        const part = parts[r - 1];
+        const gx = box.x + x, gy = box.y + y;
+        labels[gy * width + gx] = part.id;
+        if (part.startX < 0) { part.startX = gx; part.startY = gy; }
+        part.area++;
+        part.sumX += gx;
+        part.sumY += gy;
+        if (gx < part.minX) part.minX = gx;
+        if (gx > part.maxX) part.maxX = gx;
+        if (gy < part.minY) part.minY = gy;
+        if (gy > part.maxY) part.maxY = gy;
+      }
+    }
+    pieces.set(c.id, parts.map(({ minX, minY, maxX, maxY, ...p }) => ({
+      ...p,
+      split: true,
+      boundingBox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    })));
+  }
+  return components.flatMap(c => pieces.get(c.id) || [c]);
+}
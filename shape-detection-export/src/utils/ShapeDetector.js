@@ -6,6 +6,7 @@
 class ShapeDetector {
   constructor() {
     this.threshold = 128;
+    this.polarity = 'auto'; // 'auto' | 'dark' (dark shapes on light) | 'light' (light shapes on dark)
   }
 
   /**
@@ -66,18 +67,65 @@ class ShapeDetector {
   }
 
   /**
-   * Apply binary threshold
+   * Apply binary threshold (1 = foreground, on the side given by polarity)
    */
   applyThreshold(grayscale, width, height) {
     const binary = new Uint8Array(width * height);
+    const polarity = this.polarity === 'auto'
+      ? this.detectPolarity(grayscale, width, height)
+      : this.polarity;
     
     for (let i = 0; i < grayscale.length; i++) {
-      binary[i] = grayscale[i] < this.threshold ? 0 : 1;
+      const dark = grayscale[i] < this.threshold;
+      binary[i] = (polarity === 'dark' ? dark : !dark) ? 1 : 0;
     }
     
     return binary;
   }
 
+  /**
+   * Detect foreground polarity from border statistics.
+   * Same rule as detectPolarity in frontend/src/utils/thresholding.js (the source; keep
+   * the two in step): the median of a 2 px border band is taken as a background sample,
+   * and the background is whichever end of the luminance range (1st / 99th percentile)
+   * it sits closer to.
+   * @returns {'dark'|'light'} 'dark' = dark shapes on a light background
+   */
+  detectPolarity(grayscale, width, height, band = 2) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < grayscale.length; i++) histogram[grayscale[i]]++;
+    
+    const borderHist = new Array(256).fill(0);
+    let n = 0;
+    const bw = Math.max(1, Math.min(band, width >> 1, height >> 1));
+    for (let y = 0; y < height; y++) {
+      const edgeRow = y < bw || y >= height - bw;
+      for (let x = 0; x < width; x++) {
+        if (!edgeRow && x === bw) x = width - bw; // skip the interior of the row
+        borderHist[grayscale[y * width + x]]++;
+        n++;
+      }
+    }
+    
+    const borderMedian = this.histogramPercentile(borderHist, n, 0.5);
+    const lo = this.histogramPercentile(histogram, grayscale.length, 0.01);
+    const hi = this.histogramPercentile(histogram, grayscale.length, 0.99);
+    
+    return borderMedian - lo >= hi - borderMedian ? 'dark' : 'light';
+  }
+
+  /**
+   * Smallest value v with at least total * q of the histogram at or below v
+   */
+  histogramPercentile(hist, total, q) {
+    let acc = 0;
+    for (let v = 0; v < 256; v++) {
+      acc += hist[v];
+      if (acc >= total * q) return v;
+    }
+    return 255;
+  }
+
   /**
    * Find contours using connected component analysis
    */